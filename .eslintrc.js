@@ -13,7 +13,15 @@ module.exports = {
   },
   globals: {
     gtag: 'readonly',
-    ga: 'readonly'
+    ga: 'readonly',
+    SearchEngine: 'readonly',
+    SearchQuery: 'readonly',
+    Outbox: 'readonly',
+    CacheExpiration: 'readonly',
+    RouteTable: 'readonly',
+    Highlighter: 'readonly',
+    Newsletter: 'readonly',
+    FormValidator: 'readonly'
   },
   rules: {
     // Customize rules as needed
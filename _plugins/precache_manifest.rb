@@ -0,0 +1,80 @@
+# _plugins/precache_manifest.rb
+# Injects a precache manifest, the release note and site routes into the built service worker
+#
+# Every file under assets/ (but Prism's), every post and a few core pages are listed with
+# a revision: a hash of the built file. The list replaces the `self.__PRECACHE_MANIFEST`
+# placeholder in _site/sw.js, so any content change also changes the service worker's
+# bytes. That makes the browser install the new worker, which then downloads only the
+# entries whose revision differs from what it has cached.
+#
+# `release_note` from _config.yml replaces `self.__RELEASE_NOTE`; the update banner asks
+# the waiting worker for it. `service_worker_routes` replaces `self.__SITE_ROUTES`.
+# `self.__PRECACHE_VERSION` becomes a hash of the manifest, naming the cache the build's
+# files are installed into, so a worker never serves files from another build.
+
+require 'digest'
+require 'json'
+
+# Placeholders in sw.js replaced with the manifest entries, its version, the release note
+# and the routes
+PRECACHE_MANIFEST_PLACEHOLDER = 'self.__PRECACHE_MANIFEST'
+PRECACHE_VERSION_PLACEHOLDER = 'self.__PRECACHE_VERSION'
+RELEASE_NOTE_PLACEHOLDER = 'self.__RELEASE_NOTE'
+SITE_ROUTES_PLACEHOLDER = 'self.__SITE_ROUTES'
+
+# Pages precached besides the assets and posts
+PRECACHE_PAGES = ['/', '/offline.html', '/manifest.json'].freeze
+
+# Assets left to the runtime cache: a page loads only the few Prism grammars it uses
+# (see _plugins/prism_assets.rb)
+PRECACHE_SKIPPED_ASSETS = 'assets/vendor/prism/**/*'
+
+Jekyll::Hooks.register :site, :post_write do |site|
+  sw_path = File.join(site.dest, 'sw.js')
+  next unless File.exist?(sw_path)
+
+  entries = []
+
+  add_entry = lambda do |url, path|
+    next unless File.file?(path)
+
+    entries << { url: url, revision: Digest::SHA256.file(path).hexdigest[0, 16] }
+  end
+
+  PRECACHE_PAGES.each do |url|
+    add_entry.call(url, precache_output_path(site, url))
+  end
+
+  Dir.glob(File.join(site.dest, 'assets', '**', '*')).sort.each do |path|
+    relative_path = path.delete_prefix("#{site.dest}/")
+    next if File.fnmatch?(PRECACHE_SKIPPED_ASSETS, relative_path, File::FNM_PATHNAME)
+
+    add_entry.call("/#{relative_path}", path)
+  end
+
+  site.posts.docs.each do |post|
+    add_entry.call(post.url, post.destination(site.dest))
+  end
+
+  source = File.read(sw_path)
+  unless source.include?(PRECACHE_MANIFEST_PLACEHOLDER)
+    Jekyll.logger.warn 'Precache:', "#{PRECACHE_MANIFEST_PLACEHOLDER} not found in sw.js"
+    next
+  end
+
+  # Block form: a replacement string would treat backslashes in the JSON as backreferences
+  manifest = JSON.generate(entries)
+  source = source.sub(PRECACHE_MANIFEST_PLACEHOLDER) { manifest }
+  source = source.sub(PRECACHE_VERSION_PLACEHOLDER) { JSON.generate(Digest::SHA256.hexdigest(manifest)[0, 16]) }
+  source = source.sub(RELEASE_NOTE_PLACEHOLDER) { JSON.generate(site.config['release_note'].to_s) }
+  source = source.sub(SITE_ROUTES_PLACEHOLDER) { JSON.generate(site.config['service_worker_routes'] || []) }
+  File.write(sw_path, source)
+
+  puts "Generated precache manifest with #{entries.length} entries"
+end
+
+# Built file for a root-relative URL ("/" and "/about/" map to their index.html)
+def precache_output_path(site, url)
+  path = File.join(site.dest, url)
+  url.end_with?('/') ? File.join(path, 'index.html') : path
+end
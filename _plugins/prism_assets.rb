@@ -0,0 +1,56 @@
+# _plugins/prism_assets.rb
+# Serves Prism from the prismjs npm package instead of a CDN
+#
+# The minified grammars, plugins and themes of node_modules/prismjs (installed by
+# `npm install`) are copied to assets/vendor/prism/<version>/, and `prism.url` is set to
+# that folder for the page to load them from. The version comes from the installed
+# package, so readers get the release package.json asks for, and the service worker can
+# cache the files cache-first: upgrading Prism changes every URL.
+#
+# Production builds fail without the package rather than ship a site without highlighting;
+# other builds warn and code blocks keep Rouge's markup.
+
+require 'fileutils'
+require 'json'
+
+PRISM_PACKAGE_DIR = File.join('node_modules', 'prismjs')
+
+# Folders of the package the highlighter loads from, mirroring a Prism release on a CDN
+PRISM_ASSET_PATTERNS = ['components/*.min.js', 'plugins/*/*.min.{js,css}', 'themes/*.min.css'].freeze
+
+def prism_package_version(site)
+  package_json = File.join(site.source, PRISM_PACKAGE_DIR, 'package.json')
+  File.exist?(package_json) ? JSON.parse(File.read(package_json))['version'] : nil
+end
+
+Jekyll::Hooks.register :site, :post_read do |site|
+  config = site.config['prism']
+  next unless config && config['enabled']
+
+  version = prism_package_version(site)
+  unless version
+    message = "#{PRISM_PACKAGE_DIR} not found, run npm install to highlight code"
+    raise Jekyll::Errors::FatalException, "Prism: #{message}" if Jekyll.env == 'production'
+
+    Jekyll.logger.warn 'Prism:', message
+    next
+  end
+
+  config['url'] = "#{site.baseurl}/assets/vendor/prism/#{version}"
+end
+
+Jekyll::Hooks.register :site, :post_write do |site|
+  config = site.config['prism']
+  next unless config && config['url']
+
+  package_dir = File.join(site.source, PRISM_PACKAGE_DIR)
+  target_dir = File.join(site.dest, 'assets', 'vendor', 'prism', prism_package_version(site))
+
+  files = Dir.glob(PRISM_ASSET_PATTERNS, base: package_dir)
+  files.each do |file|
+    FileUtils.mkdir_p(File.dirname(File.join(target_dir, file)))
+    FileUtils.cp(File.join(package_dir, file), File.join(target_dir, file))
+  end
+
+  puts "Copied #{files.length} Prism files to #{target_dir.delete_prefix("#{site.dest}/")}"
+end
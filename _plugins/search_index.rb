@@ -1,48 +1,143 @@
 # _plugins/search_index.rb
 # Generates a search index for client-side search functionality
+#
+# search-index.json holds the metadata of every post and page plus the list of shard
+# files. The shards (search-index/<hash>.json) hold the full text of each document,
+# split at its h2/h3 headings so a result can link straight to the matching section.
+#
+# Shard names and the manifest's "hash" are content hashes: the service worker compares
+# them to decide whether its offline copy of the index is stale.
+
+require 'cgi'
+require 'digest'
+require 'fileutils'
+require 'json'
+
+# Approximate number of characters of section text per shard
+SEARCH_SHARD_SIZE = 100_000
 
 Jekyll::Hooks.register :site, :post_write do |site|
   # Create search index
-  search_index = []
-  
+  documents = []
+  sections = []
+
+  add_document = lambda do |doc, metadata|
+    id = documents.length
+    documents << metadata
+
+    search_sections(doc.content).each do |section|
+      sections << section.merge(doc: id)
+    end
+  end
+
   site.posts.docs.each do |post|
-    search_index << {
+    add_document.call(post, {
       title: post.data['title'],
       url: post.url,
       date: post.date.strftime('%Y-%m-%d'),
       categories: post.data['categories'] || [],
       tags: post.data['tags'] || [],
       author: post.data['author'] || site.config['author'] || 'Anonymous',
-      excerpt: post.data['excerpt'] ? strip_html(post.data['excerpt']) : '',
-      content: strip_html(post.content)[0..500] # First 500 characters
-    }
+      excerpt: post.data['excerpt'] ? strip_html(post.data['excerpt'].to_s) : ''
+    })
   end
-  
+
   # Include pages in search index
   site.pages.each do |page|
     next if page.data['exclude_from_search'] == true
     next if page.path.start_with?('_')
     next if page.url == '/'
-    
-    search_index << {
+
+    add_document.call(page, {
       title: page.data['title'],
       url: page.url,
       date: nil,
       categories: [],
       tags: [],
       author: page.data['author'] || site.config['author'] || 'Anonymous',
-      excerpt: page.data['excerpt'] ? strip_html(page.data['excerpt']) : '',
-      content: strip_html(page.content)[0..500] # First 500 characters
-    }
+      excerpt: page.data['excerpt'] ? strip_html(page.data['excerpt'].to_s) : ''
+    })
+  end
+
+  # Group sections into shards of roughly SEARCH_SHARD_SIZE characters
+  shards = []
+  current_shard = []
+  current_size = 0
+
+  sections.each do |section|
+    if current_size >= SEARCH_SHARD_SIZE && current_shard.any?
+      shards << current_shard
+      current_shard = []
+      current_size = 0
+    end
+
+    current_shard << section
+    current_size += section[:content].length
   end
-  
-  # Write search index to file
+  shards << current_shard if current_shard.any?
+
+  # Write shards and the manifest that points to them
+  shard_dir = File.join(site.dest, 'search-index')
+  FileUtils.mkdir_p(shard_dir)
+
+  shard_paths = shards.map do |shard|
+    json = JSON.generate(shard)
+    name = "#{Digest::SHA256.hexdigest(json)[0, 16]}.json"
+    File.write(File.join(shard_dir, name), json)
+    "search-index/#{name}"
+  end
+
   search_index_path = File.join(site.dest, 'search-index.json')
-  File.write(search_index_path, JSON.pretty_generate(search_index))
-  
-  puts "Generated search index with #{search_index.length} items"
+  File.write(search_index_path, JSON.generate({
+    version: 2,
+    hash: Digest::SHA256.hexdigest(JSON.generate([documents, shard_paths]))[0, 16],
+    documents: documents,
+    shards: shard_paths
+  }))
+
+  puts "Generated search index with #{documents.length} items in #{shards.length} shards"
 end
 
 def strip_html(content)
   content.gsub(/<\/?[^>]*>/, '').strip
-end
\ No newline at end of file
+end
+
+# Plain text with entities decoded and whitespace collapsed. Block-level tags become
+# spaces so adjacent paragraphs and list items don't run together.
+def search_text(html)
+  text = html.gsub(/<\/?(?:p|div|h[1-6]|li|ul|ol|pre|blockquote|table|tr|td|th|br|hr)\b[^>]*>/i, ' ')
+  CGI.unescapeHTML(strip_html(text)).gsub(/\s+/, ' ').strip
+end
+
+# Splits rendered HTML at h2/h3 headings. The text before the first heading becomes
+# an untitled introduction section. Anchors come from the ids kramdown generates.
+def search_sections(html)
+  sections = [{ heading: nil, anchor: nil, level: nil, html: +'' }]
+
+  html.split(/(<h[23][^>]*>.*?<\/h[23]>)/m).each do |part|
+    match = part.match(/\A<h([23])([^>]*)>(.*?)<\/h\1>\z/m)
+
+    if match
+      sections << {
+        heading: search_text(match[3]),
+        anchor: match[2][/\bid="([^"]+)"/, 1],
+        level: match[1].to_i,
+        html: +''
+      }
+    else
+      sections.last[:html] << part
+    end
+  end
+
+  sections.filter_map do |section|
+    content = search_text(section[:html])
+    next if content.empty? && section[:heading].nil?
+
+    {
+      heading: section[:heading],
+      anchor: section[:anchor],
+      level: section[:level],
+      content: content
+    }
+  end
+end
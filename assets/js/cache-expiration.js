@@ -0,0 +1,226 @@
+/**
+ * Cache Expiration for the Tech Articles Blog service worker
+ * Keeps per-entry metadata (size, time stored, time last used) in IndexedDB and bounds a
+ * cache by age, number of entries and total bytes, evicting the least recently used
+ * entries first. Cleanup runs opportunistically after writes and on activate, never on a
+ * timer, because the browser stops idle service workers.
+ */
+
+const EXPIRATION_DB_NAME = 'tech-blog-cache-expiration';
+const EXPIRATION_STORE = 'entries';
+
+class CacheExpiration {
+  constructor(cacheName, { maxEntries = Infinity, maxBytes = Infinity, maxAgeSeconds = Infinity } = {}) {
+    this.cacheName = cacheName;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAgeSeconds * 1000;
+    this.runningCleanup = null;
+    this.cleanupQueued = false;
+  }
+
+  static open() {
+    if (!CacheExpiration.database) {
+      CacheExpiration.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(EXPIRATION_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+          store.createIndex('cacheName', 'cacheName');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return CacheExpiration.database;
+  }
+
+  static async transaction(mode, fn) {
+    const database = await CacheExpiration.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(EXPIRATION_STORE, mode);
+      const request = fn(transaction.objectStore(EXPIRATION_STORE));
+      transaction.oncomplete = () => resolve(request && request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Aborts without an error event, e.g. when the browser runs out of quota
+      transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  static isQuotaError(error) {
+    return error && (error.name === 'QuotaExceededError' || error.code === 22);
+  }
+
+  entryId(url) {
+    return `${this.cacheName} ${url}`;
+  }
+
+  /**
+   * Stores the response and its metadata, then enforces the limits. When storage
+   * is full, the least recently used half of this cache is evicted and the write retried
+   * once; if it still doesn't fit the response is simply not cached.
+   */
+  async put(request, response) {
+    const url = typeof request === 'string' ? new URL(request, self.location).href : request.url;
+    const cache = await caches.open(this.cacheName);
+    const size = await CacheExpiration.responseSize(response);
+
+    try {
+      await cache.put(request, response.clone());
+    } catch (error) {
+      if (!CacheExpiration.isQuotaError(error)) throw error;
+
+      console.warn(`Cache Expiration: Storage full, evicting from ${this.cacheName}`);
+      await this.evict({ keepRatio: 0.5 });
+      try {
+        await cache.put(request, response.clone());
+      } catch (retryError) {
+        if (!CacheExpiration.isQuotaError(retryError)) throw retryError;
+        console.warn('Cache Expiration: Not caching', url, 'because storage is still full');
+        return false;
+      }
+    }
+
+    const now = Date.now();
+    await this.record({ id: this.entryId(url), cacheName: this.cacheName, url, size, storedAt: now, lastUsedAt: now });
+    this.cleanup();
+    return true;
+  }
+
+  // Marks an entry as recently used so LRU eviction keeps it
+  async touch(url) {
+    try {
+      await CacheExpiration.transaction('readwrite', store => {
+        const request = store.get(this.entryId(url));
+        request.onsuccess = () => {
+          if (request.result) {
+            store.put({ ...request.result, lastUsedAt: Date.now() });
+          }
+        };
+        return request;
+      });
+    } catch (error) {
+      // Metadata is best effort; the cached response is still served
+    }
+  }
+
+  async record(entry) {
+    try {
+      await CacheExpiration.transaction('readwrite', store => store.put(entry));
+    } catch (error) {
+      console.warn('Cache Expiration: Could not record metadata:', error);
+    }
+  }
+
+  // Cleanups never overlap: writes made during one trigger a single follow-up run
+  cleanup() {
+    if (this.runningCleanup) {
+      this.cleanupQueued = true;
+      return this.runningCleanup;
+    }
+
+    this.runningCleanup = this.evict()
+      .catch(error => {
+        console.error(`Cache Expiration: Cleanup of ${this.cacheName} failed:`, error);
+      })
+      .finally(() => {
+        this.runningCleanup = null;
+        if (this.cleanupQueued) {
+          this.cleanupQueued = false;
+          this.cleanup();
+        }
+      });
+
+    return this.runningCleanup;
+  }
+
+  /**
+   * Deletes expired entries, then least recently used ones until the cache fits within
+   * maxEntries and maxBytes (or keeps only keepRatio of the entries, to free space).
+   */
+  async evict({ keepRatio = 1 } = {}) {
+    const cache = await caches.open(this.cacheName);
+    const entries = await this.syncEntries(cache);
+    const now = Date.now();
+
+    const fresh = entries
+      .filter(entry => now - entry.storedAt <= this.maxAge)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    const maxEntries = Math.min(this.maxEntries, Math.floor(fresh.length * keepRatio));
+    const keep = new Set();
+    let bytes = 0;
+
+    for (const entry of fresh) {
+      if (keep.size >= maxEntries || bytes + entry.size > this.maxBytes) break;
+      keep.add(entry.id);
+      bytes += entry.size;
+    }
+
+    const expired = entries.filter(entry => !keep.has(entry.id));
+    await Promise.all(expired.map(entry => cache.delete(entry.url)));
+    await CacheExpiration.transaction('readwrite', store => {
+      expired.forEach(entry => store.delete(entry.id));
+    });
+
+    if (expired.length) {
+      console.log(`Cache Expiration: Removed ${expired.length} entries from ${this.cacheName}`);
+    }
+    return expired.length;
+  }
+
+  // Metadata for every cached request: entries cached without it (e.g. by an older worker)
+  // are adopted as of now, and metadata for requests no longer cached is dropped
+  async syncEntries(cache) {
+    const stored = await CacheExpiration.transaction('readonly', store =>
+      store.index('cacheName').getAll(this.cacheName));
+    const byURL = new Map(stored.map(entry => [entry.url, entry]));
+    const requests = await cache.keys();
+    const cachedURLs = new Set(requests.map(request => request.url));
+    const now = Date.now();
+
+    const adopted = [];
+    for (const request of requests) {
+      if (byURL.has(request.url)) continue;
+
+      const response = await cache.match(request);
+      const entry = {
+        id: this.entryId(request.url),
+        cacheName: this.cacheName,
+        url: request.url,
+        size: response ? await CacheExpiration.responseSize(response) : 0,
+        storedAt: now,
+        lastUsedAt: now
+      };
+      adopted.push(entry);
+      byURL.set(request.url, entry);
+    }
+
+    const orphaned = stored.filter(entry => !cachedURLs.has(entry.url));
+
+    if (adopted.length || orphaned.length) {
+      await CacheExpiration.transaction('readwrite', store => {
+        adopted.forEach(entry => store.put(entry));
+        orphaned.forEach(entry => store.delete(entry.id));
+      });
+    }
+
+    return [...byURL.values()].filter(entry => cachedURLs.has(entry.url));
+  }
+
+  static async responseSize(response) {
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > 0) return length;
+
+    try {
+      return (await response.clone().blob()).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CacheExpiration;
+}
@@ -0,0 +1,364 @@
+/**
+ * Form Validator for the Tech Articles Blog
+ * Reads the rules from the fields' own attributes, so forms declare them in HTML:
+ *
+ *   required, type="email" | "url" | "number", min, max, minlength, maxlength, pattern
+ *   data-validate-match="password"     Same value as the field with that name
+ *   data-validate-min-words="5"        At least that many words
+ *   data-validate-max-words="300"      At most that many words
+ *
+ * More data-validate-* rules can be added with FormValidator.addRule. Messages name the
+ * field by its label; data-message-<rule> (e.g. data-message-required) replaces one, and
+ * a pattern's title attribute describes the expected format, as in native validation.
+ *
+ * Each message sits below its field, linked with aria-describedby. Fields are checked
+ * again as they are edited once they have been left or the form was submitted.
+ *
+ * Spam checks: a hidden honeypot field that people never fill in, and a minimum time
+ * between showing the form and submitting it (data-min-submit-time, in seconds).
+ */
+
+// Deliberately loose, like the browser's own check
+const VALIDATION_EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Submitting faster than this is taken for a bot unless the form sets its own limit
+const VALIDATION_MIN_SUBMIT_SECONDS = 3;
+
+const countWords = value => value.trim().split(/\s+/).filter(Boolean).length;
+
+class FormValidator {
+  /**
+   * Rules in the order they are checked; the first failing one is reported. param reads
+   * the attribute that switches the rule on (null when absent) and is passed to test and
+   * message. Rules other than required pass empty fields.
+   */
+  static rules = [
+    {
+      name: 'required',
+      param: field => field.required || null,
+      test: (value, param, field) => (['checkbox', 'radio'].includes(field.type)
+        ? FormValidator.groupOf(field).some(option => option.checked)
+        : value.trim() !== ''),
+      message: (label, param, field) => (field.type === 'checkbox'
+        ? `Please check ${label}.`
+        : `${label} is required.`)
+    },
+    {
+      name: 'email',
+      param: field => field.type === 'email' || null,
+      test: value => value.length <= 254 && VALIDATION_EMAIL_PATTERN.test(value),
+      message: label => `${label} must be an email address, like name@example.com.`
+    },
+    {
+      name: 'url',
+      param: field => field.type === 'url' || null,
+      test: value => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: label => `${label} must be a web address starting with https://.`
+    },
+    {
+      name: 'number',
+      param: field => field.type === 'number' || null,
+      test: value => Number.isFinite(Number(value)),
+      message: label => `${label} must be a number.`
+    },
+    {
+      name: 'min',
+      param: field => (field.type === 'number' ? field.getAttribute('min') : null),
+      test: (value, min) => Number(value) >= Number(min),
+      message: (label, min) => `${label} must be at least ${min}.`
+    },
+    {
+      name: 'max',
+      param: field => (field.type === 'number' ? field.getAttribute('max') : null),
+      test: (value, max) => Number(value) <= Number(max),
+      message: (label, max) => `${label} must be at most ${max}.`
+    },
+    {
+      name: 'minlength',
+      param: field => field.getAttribute('minlength'),
+      test: (value, length) => value.trim().length >= Number(length),
+      message: (label, length, field) =>
+        `${label} must be at least ${length} characters (it has ${field.value.trim().length}).`
+    },
+    {
+      name: 'maxlength',
+      param: field => field.getAttribute('maxlength'),
+      test: (value, length) => value.length <= Number(length),
+      message: (label, length, field) =>
+        `${label} must be at most ${length} characters (it has ${field.value.length}).`
+    },
+    {
+      name: 'pattern',
+      param: field => field.getAttribute('pattern'),
+      test: (value, pattern) => {
+        try {
+          return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+        } catch (error) {
+          console.warn('Form Validator: Ignoring invalid pattern', pattern);
+          return true;
+        }
+      },
+      message: (label, pattern, field) => (field.title
+        ? `${label}: ${field.title}`
+        : `${label} isn't in the expected format.`)
+    }
+  ];
+
+  /**
+   * Adds a rule switched on by data-validate-<name>; test(value, param, field) returns
+   * true when the value passes and message(label, param, field) explains a failure.
+   */
+  static addRule(name, test, message) {
+    FormValidator.rules.push({
+      name,
+      param: field => field.getAttribute(`data-validate-${name}`),
+      test,
+      message
+    });
+  }
+
+  // The checkboxes or radio buttons sharing the field's name, or just the field
+  static groupOf(field) {
+    if (!field.form || !field.name || !['checkbox', 'radio'].includes(field.type)) return [field];
+    return Array.from(field.form.elements).filter(element => element.name === field.name);
+  }
+
+  // Field name as the reader sees it: its label (a group's legend) without the required marker
+  static labelOf(field) {
+    const fieldset = FormValidator.groupOf(field).length > 1 && field.closest('fieldset');
+    const label = fieldset
+      ? fieldset.querySelector('legend')
+      : field.labels && field.labels[0];
+    const text = label ? label.textContent : field.getAttribute('aria-label') || field.placeholder || field.name;
+    return text.replace(/[*:]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  constructor(form, { minSubmitTime } = {}) {
+    this.form = form;
+    this.submitted = false;
+    this.startedAt = Date.now();
+    this.minSubmitTime = Number(minSubmitTime ?? form.dataset.minSubmitTime ?? VALIDATION_MIN_SUBMIT_SECONDS) * 1000;
+    this.honeypot = form.querySelector('[data-honeypot]') || this.addHoneypot();
+
+    // Messages are shown inline instead of the browser's validation bubbles
+    form.noValidate = true;
+
+    form.addEventListener('input', e => this.handleEdit(e.target));
+    form.addEventListener('change', e => this.handleEdit(e.target));
+    form.addEventListener('focusout', (e) => {
+      if (this.isValidatable(e.target) && e.target.dataset.edited) this.validateField(e.target);
+    });
+    form.addEventListener('reset', () => {
+      this.submitted = false;
+      this.fields().forEach(field => {
+        delete field.dataset.edited;
+        this.clearError(field);
+      });
+    });
+  }
+
+  addHoneypot() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-honeypot';
+    wrapper.setAttribute('aria-hidden', 'true');
+    wrapper.innerHTML = `
+      <label>Leave this field empty
+        <input type="text" name="website_url" tabindex="-1" autocomplete="off" data-honeypot>
+      </label>
+    `;
+    this.form.appendChild(wrapper);
+    return wrapper.querySelector('input');
+  }
+
+  isValidatable(element) {
+    return element && element.form === this.form && element !== this.honeypot &&
+      typeof element.checkValidity === 'function' && !element.disabled &&
+      !['submit', 'button', 'reset', 'hidden', 'fieldset', 'output'].includes(element.type);
+  }
+
+  // Fields to validate, with one entry per checkbox or radio group
+  fields() {
+    const seen = new Set();
+    return Array.from(this.form.elements).filter(element => {
+      if (!this.isValidatable(element)) return false;
+      const key = ['checkbox', 'radio'].includes(element.type) && element.name ? element.name : element;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  handleEdit(field) {
+    if (!this.isValidatable(field)) return;
+    field.dataset.edited = 'true';
+
+    // Until a field has been left once, only clear its error: no complaints mid-typing
+    const target = FormValidator.groupOf(field)[0];
+    if (this.submitted || target.getAttribute('aria-invalid') === 'true') {
+      this.validateField(target);
+    }
+  }
+
+  // The first failing rule's message for the field, or null
+  check(field) {
+    const value = ['checkbox', 'radio'].includes(field.type) ? '' : field.value;
+
+    for (const rule of FormValidator.rules) {
+      const param = rule.param(field);
+      if (param === null || param === undefined || param === false) continue;
+      if (rule.name !== 'required' && value.trim() === '') continue;
+      if (rule.test(value, param, field)) continue;
+
+      return field.getAttribute(`data-message-${rule.name}`) ||
+        rule.message(FormValidator.labelOf(field), param, field);
+    }
+    return null;
+  }
+
+  validateField(field) {
+    const message = this.check(field);
+    if (message) {
+      this.showError(field, message);
+    } else {
+      this.clearError(field);
+    }
+    return !message;
+  }
+
+  /**
+   * Validates every field and, when some fail, moves focus to the first one. Returns the
+   * failing fields' labels, empty when the form is valid.
+   */
+  validate({ focus = true } = {}) {
+    this.submitted = true;
+    const invalid = this.fields().filter(field => !this.validateField(field));
+
+    if (invalid.length && focus) invalid[0].focus();
+    return invalid.map(field => FormValidator.labelOf(field));
+  }
+
+  errorElement(field, { create = false } = {}) {
+    const id = `${this.form.id || this.form.getAttribute('name') || 'form'}-${field.name || field.id}-error`;
+    let error = document.getElementById(id);
+    if (!error && create) {
+      error = document.createElement('p');
+      error.id = id;
+      error.className = 'field-error';
+
+      // After the whole group for radios and checkboxes, after the field otherwise
+      const group = FormValidator.groupOf(field);
+      const anchor = group.length > 1
+        ? field.closest('fieldset') || group[group.length - 1].closest('label') || group[group.length - 1]
+        : field.closest('label') || field;
+      anchor.after(error);
+    }
+    return error;
+  }
+
+  showError(field, message) {
+    const error = this.errorElement(field, { create: true });
+    error.textContent = message;
+
+    FormValidator.groupOf(field).forEach(option => {
+      option.setAttribute('aria-invalid', 'true');
+      const describedBy = (option.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!describedBy.includes(error.id)) {
+        option.setAttribute('aria-describedby', [...describedBy, error.id].join(' '));
+      }
+    });
+  }
+
+  clearError(field) {
+    const error = this.errorElement(field);
+    FormValidator.groupOf(field).forEach(option => {
+      option.removeAttribute('aria-invalid');
+      if (!error) return;
+
+      const describedBy = (option.getAttribute('aria-describedby') || '').split(/\s+/)
+        .filter(id => id && id !== error.id);
+      if (describedBy.length) {
+        option.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        option.removeAttribute('aria-describedby');
+      }
+    });
+    if (error) error.remove();
+  }
+
+  /**
+   * Shows the errors of a rejected submission on their fields. The reply may be
+   * { errors: { name: "message" | ["message", ...] } } or { errors: [{ field, message }] }
+   * (path/param and msg are accepted too). Resolves to the messages that match no field.
+   */
+  async showServerErrors(response) {
+    let data = null;
+    try {
+      data = await response.clone().json();
+    } catch (error) {
+      return [];
+    }
+    if (!data || !data.errors) return [];
+
+    const errors = Array.isArray(data.errors)
+      ? data.errors.map(error => [error.field || error.path || error.param, error.message || error.msg])
+      : Object.entries(data.errors);
+
+    const unmatched = [];
+    const invalid = [];
+    errors.forEach(([name, message]) => {
+      const text = Array.isArray(message) ? message.join(' ') : String(message || '');
+      const field = name && this.fields().find(candidate => candidate.name === name);
+      if (field) {
+        this.showError(field, text);
+        invalid.push(field);
+      } else if (text) {
+        unmatched.push(text);
+      }
+    });
+
+    if (invalid.length) invalid[0].focus();
+    return unmatched;
+  }
+
+  // Honeypot filled in, or submitted faster than a person fills in a form
+  isLikelySpam() {
+    return Boolean(this.honeypot.value) || Date.now() - this.startedAt < this.minSubmitTime;
+  }
+
+  // Submitted values, without the honeypot; checkbox groups become arrays
+  data() {
+    const data = {};
+    new FormData(this.form).forEach((value, name) => {
+      if (name === this.honeypot.name) return;
+      if (name in data) {
+        data[name] = [].concat(data[name], value);
+      } else {
+        data[name] = value;
+      }
+    });
+    return data;
+  }
+}
+
+FormValidator.addRule('match',
+  (value, name, field) => field.form && field.form.elements[name] && value === field.form.elements[name].value,
+  (label, name, field) => `${label} must match ${FormValidator.labelOf(field.form.elements[name])}.`);
+
+FormValidator.addRule('min-words',
+  (value, count) => countWords(value) >= Number(count),
+  (label, count, field) => `${label} must be at least ${count} words (it has ${countWords(field.value)}).`);
+
+FormValidator.addRule('max-words',
+  (value, count) => countWords(value) <= Number(count),
+  (label, count, field) => `${label} must be at most ${count} words (it has ${countWords(field.value)}).`);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormValidator;
+}
@@ -0,0 +1,170 @@
+/**
+ * Syntax Highlighter for the Tech Articles Blog
+ * Loads Prism on demand: the core and its autoloader the first time a block is highlighted,
+ * then each grammar (with the grammars it builds on) the first time a block uses it.
+ * Plugins are only loaded for pages with blocks that need them. Rouge has already marked
+ * up the blocks in the markdown, so until Prism arrives they still read fine.
+ */
+
+// Fence names Prism doesn't know, mapped to the grammar to use instead
+const PRISM_ALIASES = {
+  console: 'shell-session',
+  terminal: 'shell-session',
+  zsh: 'bash'
+};
+
+// Languages left as they are: Prism would only load itself to print them unchanged
+const PLAIN_LANGUAGES = ['plaintext', 'text', 'plain', 'txt', 'none'];
+
+// Plugins, loaded with their stylesheet when a block matches the selector
+const PRISM_PLUGINS = [
+  { name: 'diff-highlight', selector: '[class*="language-diff-"]' }
+];
+
+class Highlighter {
+  /**
+   * baseURL is the root of a Prism release (the build's copy of the prismjs package);
+   * onHighlight runs with the code element every time Prism replaces its markup.
+   */
+  constructor({ baseURL, onHighlight = () => {} }) {
+    // Absolute, so resources() can compare it with the URLs the browser reports
+    this.baseURL = new URL(baseURL, document.baseURI).href.replace(/\/$/, '');
+    this.onHighlight = onHighlight;
+    this.loaded = new Map();
+    this.core = null;
+    this.theme = null;
+  }
+
+  // Language named by the element's language-* class or its closest ancestor's
+  static language(element) {
+    const source = element.closest('[class*="language-"]');
+    const match = source && source.className.match(/\blanguage-([\w-]+)/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  static isHighlightable(element) {
+    const language = Highlighter.language(element);
+    return Boolean(language) && !PLAIN_LANGUAGES.includes(language);
+  }
+
+  async highlight(element) {
+    if (!Highlighter.isHighlightable(element)) return;
+
+    const language = Highlighter.language(element);
+    if (PRISM_ALIASES[language]) {
+      element.classList.add(`language-${PRISM_ALIASES[language]}`);
+    }
+
+    try {
+      await this.loadCore();
+      await Promise.all(PRISM_PLUGINS
+        .filter(plugin => element.closest(plugin.selector))
+        .map(plugin => this.loadPlugin(plugin.name)));
+      window.Prism.highlightElement(element);
+    } catch (error) {
+      console.warn('Highlighter: Could not load Prism:', error);
+    }
+  }
+
+  loadCore() {
+    if (!this.core) {
+      // Otherwise Prism highlights every block on the page as soon as it runs
+      window.Prism = window.Prism || {};
+      window.Prism.manual = true;
+
+      this.core = this.loadScript(`${this.baseURL}/components/prism-core.min.js`)
+        .then(() => this.loadScript(`${this.baseURL}/plugins/autoloader/prism-autoloader.min.js`))
+        .then(() => {
+          window.Prism.plugins.autoloader.languages_path = `${this.baseURL}/components/`;
+          window.Prism.hooks.add('complete', env => {
+            if (env.element) this.onHighlight(env.element);
+          });
+          this.applyTheme();
+        })
+        .catch(error => {
+          this.core = null;
+          throw error;
+        });
+    }
+    return this.core;
+  }
+
+  loadPlugin(name) {
+    const path = `${this.baseURL}/plugins/${name}/prism-${name}.min`;
+    this.loadStylesheet(`${path}.css`);
+    return this.loadScript(`${path}.js`);
+  }
+
+  loadScript(url) {
+    if (!this.loaded.has(url)) {
+      this.loaded.set(url, new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => {
+          this.loaded.delete(url);
+          script.remove();
+          reject(new Error(`Failed to load ${url}`));
+        };
+        document.head.appendChild(script);
+      }));
+    }
+    return this.loaded.get(url);
+  }
+
+  loadStylesheet(url) {
+    if (!this.loaded.has(url)) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = url;
+      document.head.appendChild(link);
+      this.loaded.set(url, Promise.resolve(link));
+    }
+    return this.loaded.get(url);
+  }
+
+  // Token theme, e.g. 'prism-tomorrow'; applied once Prism has been loaded
+  setTheme(name) {
+    this.theme = name;
+    if (this.core) this.applyTheme();
+  }
+
+  /**
+   * The new theme's stylesheet is added next to the old one, which is removed once the
+   * new one has loaded, so tokens never flash unstyled while switching.
+   */
+  applyTheme() {
+    const href = `${this.baseURL}/themes/${this.theme}.min.css`;
+    const current = Array.from(document.querySelectorAll('link[data-prism-theme]'));
+    if (!this.theme) return;
+
+    // Switching back before another theme finished loading: drop that one instead
+    if (current.some(link => link.getAttribute('href') === href)) {
+      current.filter(link => link.getAttribute('href') !== href).forEach(link => link.remove());
+      return;
+    }
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.dataset.prismTheme = this.theme;
+    link.onload = link.onerror = () => {
+      if (link.dataset.prismTheme !== this.theme) return;
+      current.forEach(previous => previous.remove());
+    };
+    document.head.appendChild(link);
+  }
+
+  // Prism files fetched so far, including grammars the autoloader added, to save pages offline
+  resources() {
+    const loaded = performance.getEntriesByType('resource').map(entry => entry.name);
+    return [...new Set([...this.loaded.keys(), ...loaded])]
+      .filter(url => url.startsWith(this.baseURL));
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Highlighter;
+}
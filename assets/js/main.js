@@ -3,6 +3,48 @@
  * Handles theme switching, search, progressive web app features, and interactive elements
  */
 
+// Reader preferences: allowed values and defaults. Scales are multipliers of the base sizes.
+const READER_PREFERENCES = {
+  fontScale: { min: 0.8, max: 1.6, step: 0.1, default: 1 },
+  codeScale: { min: 0.8, max: 1.4, step: 0.1, default: 1 },
+  measure: { values: ['narrow', 'standard', 'wide'], default: 'standard' },
+  fontFamily: { values: ['sans', 'serif', 'dyslexic'], default: 'sans' },
+  lineHeight: { values: ['compact', 'normal', 'relaxed'], default: 'normal' }
+};
+
+// Reading positions: the sticky header's height (headings scroll to just below it), the
+// progress below which a visit isn't remembered, the progress that marks an article read
+// and how many articles are remembered
+const READING_POSITIONS = {
+  headerOffset: 80,
+  minPercent: 5,
+  finishedPercent: 95,
+  maxEntries: 50
+};
+
+// Code block languages: toolbar label and the extension of downloaded files. Classes
+// like language-js come from the markdown fence (Rouge) or from Prism.
+const CODE_LANGUAGES = {
+  javascript: { label: 'JavaScript', extension: 'js', aliases: ['js'] },
+  typescript: { label: 'TypeScript', extension: 'ts', aliases: ['ts'] },
+  jsx: { label: 'JSX', extension: 'jsx' },
+  tsx: { label: 'TSX', extension: 'tsx' },
+  html: { label: 'HTML', extension: 'html', aliases: ['markup', 'xml'] },
+  css: { label: 'CSS', extension: 'css' },
+  scss: { label: 'SCSS', extension: 'scss' },
+  json: { label: 'JSON', extension: 'json' },
+  yaml: { label: 'YAML', extension: 'yml', aliases: ['yml'] },
+  markdown: { label: 'Markdown', extension: 'md', aliases: ['md'] },
+  liquid: { label: 'Liquid', extension: 'liquid' },
+  ruby: { label: 'Ruby', extension: 'rb', aliases: ['rb'] },
+  python: { label: 'Python', extension: 'py', aliases: ['py'] },
+  go: { label: 'Go', extension: 'go' },
+  rust: { label: 'Rust', extension: 'rs', aliases: ['rs'] },
+  sql: { label: 'SQL', extension: 'sql' },
+  bash: { label: 'Shell', extension: 'sh', aliases: ['sh', 'shell', 'zsh', 'console', 'shell-session', 'terminal'], shell: true },
+  plaintext: { label: 'Text', extension: 'txt', aliases: ['text', 'plain', 'txt'] }
+};
+
 class TechBlog {
   constructor() {
     this.init();
@@ -11,14 +53,23 @@ class TechBlog {
   init() {
     // Initialize core features
     this.initTheme();
+    this.initReaderPreferences();
     this.initSearch();
     this.initProgressiveWebApp();
+    this.initSavedArticles();
+    this.initOfflinePage();
+    this.initPushNotifications();
     this.initScrollToTop();
-    this.initSmoothScrolling();
     this.initLazyLoading();
     this.initAnimations();
+    this.initTableOfContents();
+    this.initHeadingPermalinks();
+    this.initSmoothScrolling();
+    this.initSelectionSharing();
     this.initReadingProgress();
-    this.initCodeCopyButtons();
+    this.initReadingPositions();
+    this.initCodeBlocks();
+    this.initSyntaxHighlighting();
     
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
@@ -34,41 +85,241 @@ class TechBlog {
    * Theme Management
    */
   initTheme() {
-    // Check for saved theme preference or default to light
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const defaultTheme = savedTheme || (prefersDark ? 'dark' : 'light');
-    
-    this.setTheme(defaultTheme);
-    
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-      if (!localStorage.getItem('theme')) {
-        this.setTheme(e.matches ? 'dark' : 'light');
+    this.themes = this.loadThemeRegistry();
+    this.systemThemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+    // The inline bootstrap in head.html has already set data-theme; this syncs the controls
+    this.applyTheme(this.resolveTheme(this.getThemePreference()));
+    this.initThemePicker();
+
+    // Follow the operating system for as long as no explicit theme is chosen
+    this.systemThemeQuery.addEventListener('change', () => {
+      if (this.getThemePreference() === 'system') {
+        this.applyTheme(this.resolveTheme('system'));
+      }
+    });
+
+    // Keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+      if (e.key === 'theme') {
+        this.applyTheme(this.resolveTheme(this.getThemePreference()));
+        this.updateThemePicker();
       }
     });
   }
 
-  setTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-    
-    // Update theme toggle button if it exists
+  // Built-in themes plus any declared under `themes:` in _config.yml
+  loadThemeRegistry() {
+    const themes = new Map([
+      ['light', { name: 'light', label: 'Light', colorScheme: 'light' }],
+      ['dark', { name: 'dark', label: 'Dark', colorScheme: 'dark' }],
+      ['high-contrast', { name: 'high-contrast', label: 'High contrast', colorScheme: 'dark' }],
+      ['sepia', { name: 'sepia', label: 'Sepia', colorScheme: 'light', prismTheme: 'prism-solarizedlight' }]
+    ]);
+
+    const config = document.getElementById('theme-config');
+    let customThemes = [];
+    try {
+      customThemes = JSON.parse(config ? config.textContent : 'null') || [];
+    } catch (error) {
+      console.warn('Invalid theme configuration:', error);
+    }
+
+    customThemes.forEach(theme => {
+      if (!theme || !theme.name) return;
+      themes.set(theme.name, {
+        name: theme.name,
+        label: theme.label || theme.name,
+        colorScheme: theme.color_scheme === 'dark' ? 'dark' : 'light',
+        prismTheme: theme.prism_theme
+      });
+    });
+
+    return themes;
+  }
+
+  // 'system' or the name of a registered theme
+  getThemePreference() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem('theme');
+    } catch (error) {
+      // Storage can be unavailable (private mode, disabled cookies)
+    }
+
+    return this.themes.has(saved) ? saved : 'system';
+  }
+
+  resolveTheme(preference) {
+    if (preference !== 'system' && this.themes.has(preference)) {
+      return this.themes.get(preference);
+    }
+
+    return this.themes.get(this.systemThemeQuery.matches ? 'dark' : 'light');
+  }
+
+  setTheme(preference, { persist = true } = {}) {
+    if (persist) {
+      try {
+        if (preference === 'system') {
+          localStorage.removeItem('theme');
+        } else {
+          localStorage.setItem('theme', preference);
+        }
+      } catch (error) {
+        // The theme still applies for this page view
+      }
+    }
+
+    this.applyTheme(this.resolveTheme(preference));
+    this.updateThemePicker(preference);
+  }
+
+  applyTheme(theme) {
+    const root = document.documentElement;
+    const changed = root.getAttribute('data-theme') !== theme.name;
+
+    root.setAttribute('data-theme', theme.name);
+    root.setAttribute('data-color-scheme', theme.colorScheme);
+
     const themeToggle = document.querySelector('.theme-toggle');
     if (themeToggle) {
-      themeToggle.setAttribute('aria-label', `Switch to ${theme === 'light' ? 'dark' : 'light'} theme`);
+      themeToggle.setAttribute('aria-label', `Choose theme (current: ${theme.label})`);
+    }
+
+    if (changed) {
+      document.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
     }
   }
 
+  // Quick switch between a light and a dark theme (Alt+T)
   toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    this.setTheme(newTheme);
+    const scheme = document.documentElement.getAttribute('data-color-scheme');
+    this.setTheme(scheme === 'dark' ? 'light' : 'dark');
     
     // Animate the transition
     this.animateThemeTransition();
   }
 
+  /**
+   * Theme Picker (menu button pattern)
+   */
+  initThemePicker() {
+    const button = document.querySelector('.theme-picker .theme-toggle');
+    const menu = document.getElementById('theme-menu');
+    if (!button || !menu) return;
+
+    const options = [{ name: 'system', label: 'System' }, ...this.themes.values()];
+    menu.innerHTML = options.map((theme, index) => `
+      ${index === 1 ? '<li class="theme-menu-separator" role="separator"></li>' : ''}
+      <li role="none">
+        <button type="button" role="menuitemradio" tabindex="-1" data-theme-option="${this.escapeHTML(theme.name)}" aria-checked="false">
+          ${this.escapeHTML(theme.label)}
+        </button>
+      </li>
+    `).join('');
+
+    const items = () => Array.from(menu.querySelectorAll('[role="menuitemradio"]'));
+
+    button.addEventListener('click', () => {
+      if (menu.hidden) {
+        this.openThemeMenu();
+      } else {
+        this.closeThemeMenu();
+      }
+    });
+
+    button.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.openThemeMenu(e.key === 'ArrowUp' ? 'last' : 'checked');
+      }
+    });
+
+    menu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-theme-option]');
+      if (!item) return;
+
+      this.setTheme(item.dataset.themeOption);
+      this.animateThemeTransition();
+      this.closeThemeMenu({ restoreFocus: true });
+    });
+
+    menu.addEventListener('keydown', (e) => {
+      const list = items();
+      const index = list.indexOf(document.activeElement);
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          list[(index + 1) % list.length].focus();
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          list[(index - 1 + list.length) % list.length].focus();
+          break;
+        case 'Home':
+          e.preventDefault();
+          list[0].focus();
+          break;
+        case 'End':
+          e.preventDefault();
+          list[list.length - 1].focus();
+          break;
+        case 'Escape':
+          e.preventDefault();
+          e.stopPropagation();
+          this.closeThemeMenu({ restoreFocus: true });
+          break;
+        case 'Tab':
+          this.closeThemeMenu();
+          break;
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.theme-picker')) {
+        this.closeThemeMenu();
+      }
+    });
+
+    this.updateThemePicker();
+  }
+
+  openThemeMenu(focus = 'checked') {
+    const button = document.querySelector('.theme-picker .theme-toggle');
+    const menu = document.getElementById('theme-menu');
+    if (!button || !menu) return;
+
+    menu.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+
+    const list = Array.from(menu.querySelectorAll('[role="menuitemradio"]'));
+    const target = focus === 'last'
+      ? list[list.length - 1]
+      : list.find(item => item.getAttribute('aria-checked') === 'true') || list[0];
+    target.focus();
+  }
+
+  closeThemeMenu({ restoreFocus = false } = {}) {
+    const button = document.querySelector('.theme-picker .theme-toggle');
+    const menu = document.getElementById('theme-menu');
+    if (!button || !menu || menu.hidden) return;
+
+    menu.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+
+    if (restoreFocus) {
+      button.focus();
+    }
+  }
+
+  updateThemePicker(preference = this.getThemePreference()) {
+    document.querySelectorAll('#theme-menu [data-theme-option]').forEach(item => {
+      item.setAttribute('aria-checked', String(item.dataset.themeOption === preference));
+    });
+  }
+
   animateThemeTransition() {
     const body = document.body;
     body.style.transition = 'background-color 0.3s ease, color 0.3s ease';
@@ -78,15 +329,214 @@ class TechBlog {
     }, 300);
   }
 
+  /**
+   * Reader Preferences
+   */
+  initReaderPreferences() {
+    this.readerPreferences = this.loadReaderPreferences();
+    this.applyReaderPreferences();
+
+    const toggle = document.querySelector('.reader-preferences-toggle');
+    const panel = document.getElementById('reader-panel');
+
+    if (toggle && panel) {
+      const form = panel.querySelector('form');
+
+      toggle.addEventListener('click', () => {
+        if (panel.hidden) {
+          this.openReaderPanel();
+        } else {
+          this.closeReaderPanel();
+        }
+      });
+
+      form.addEventListener('input', (e) => {
+        if (e.target.name in READER_PREFERENCES) {
+          this.setReaderPreference(e.target.name, e.target.value);
+        }
+      });
+
+      form.addEventListener('reset', (e) => {
+        e.preventDefault();
+        this.resetReaderPreferences();
+      });
+
+      panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          this.closeReaderPanel({ restoreFocus: true });
+        }
+      });
+
+      document.addEventListener('click', (e) => {
+        if (!e.target.closest('.reader-preferences')) {
+          this.closeReaderPanel();
+        }
+      });
+    }
+
+    // Keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+      if (e.key === 'reader-preferences') {
+        this.readerPreferences = this.loadReaderPreferences();
+        this.applyReaderPreferences();
+      }
+    });
+  }
+
+  loadReaderPreferences() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('reader-preferences')) || {};
+    } catch (error) {
+      // Corrupt or unavailable storage falls back to the defaults
+    }
+
+    const preferences = {};
+    Object.keys(READER_PREFERENCES).forEach(name => {
+      preferences[name] = this.normalizeReaderPreference(name, saved[name]);
+    });
+    return preferences;
+  }
+
+  // Clamps scales to their range and step, and rejects unknown option values
+  normalizeReaderPreference(name, value) {
+    const option = READER_PREFERENCES[name];
+
+    if (option.values) {
+      return option.values.includes(value) ? value : option.default;
+    }
+
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return option.default;
+
+    const clamped = Math.min(option.max, Math.max(option.min, number));
+    return Number((Math.round(clamped / option.step) * option.step).toFixed(2));
+  }
+
+  setReaderPreference(name, value) {
+    this.readerPreferences[name] = this.normalizeReaderPreference(name, value);
+    this.saveReaderPreferences();
+    this.applyReaderPreferences();
+  }
+
+  adjustReaderFontScale(direction) {
+    const { step } = READER_PREFERENCES.fontScale;
+    this.setReaderPreference('fontScale', this.readerPreferences.fontScale + direction * step);
+    this.announceReaderPreference(`Text size ${Math.round(this.readerPreferences.fontScale * 100)}%`);
+  }
+
+  resetReaderPreferences() {
+    Object.keys(READER_PREFERENCES).forEach(name => {
+      this.readerPreferences[name] = READER_PREFERENCES[name].default;
+    });
+
+    try {
+      localStorage.removeItem('reader-preferences');
+    } catch (error) {
+      // Nothing stored to remove
+    }
+
+    this.applyReaderPreferences();
+    this.announceReaderPreference('Reading preferences reset');
+  }
+
+  saveReaderPreferences() {
+    try {
+      localStorage.setItem('reader-preferences', JSON.stringify(this.readerPreferences));
+    } catch (error) {
+      // Preferences still apply for this page view
+    }
+  }
+
+  applyReaderPreferences() {
+    const root = document.documentElement;
+    const { fontScale, codeScale, measure, fontFamily, lineHeight } = this.readerPreferences;
+
+    root.setAttribute('data-reader-measure', measure);
+    root.setAttribute('data-reader-font', fontFamily);
+    root.setAttribute('data-reader-spacing', lineHeight);
+    root.style.setProperty('--reader-font-scale', fontScale);
+    root.style.setProperty('--reader-code-scale', codeScale);
+
+    // Reflect the values in the panel controls
+    const panel = document.getElementById('reader-panel');
+    if (!panel) return;
+
+    Object.entries(this.readerPreferences).forEach(([name, value]) => {
+      panel.querySelectorAll(`[name="${name}"]`).forEach(control => {
+        if (control.type === 'radio') {
+          control.checked = control.value === value;
+        } else {
+          control.value = value;
+        }
+      });
+
+      const output = panel.querySelector(`[data-reader-output="${name}"]`);
+      if (output) {
+        output.textContent = `${Math.round(value * 100)}%`;
+      }
+    });
+  }
+
+  openReaderPanel() {
+    const toggle = document.querySelector('.reader-preferences-toggle');
+    const panel = document.getElementById('reader-panel');
+    if (!toggle || !panel) return;
+
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+
+    const firstControl = panel.querySelector('input');
+    if (firstControl) {
+      firstControl.focus();
+    }
+  }
+
+  closeReaderPanel({ restoreFocus = false } = {}) {
+    const toggle = document.querySelector('.reader-preferences-toggle');
+    const panel = document.getElementById('reader-panel');
+    if (!toggle || !panel || panel.hidden) return;
+
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+
+    if (restoreFocus) {
+      toggle.focus();
+    }
+  }
+
+  announceReaderPreference(message) {
+    let status = document.getElementById('reader-status');
+    if (!status) {
+      status = document.createElement('div');
+      status.id = 'reader-status';
+      status.className = 'sr-only';
+      status.setAttribute('role', 'status');
+      document.body.appendChild(status);
+    }
+    status.textContent = message;
+  }
+
   /**
    * Search Functionality
    */
   initSearch() {
     const searchInput = document.getElementById('search-input');
     const searchResults = document.getElementById('search-results');
+    const searchPage = document.getElementById('search-page-results');
     
+    if ((!searchInput || !searchResults) && !searchPage) return;
+
+    // Load search index
+    this.searchReady = this.loadSearchIndex();
+    this.initOfflineSearch();
+    this.initSearchPage();
+
     if (!searchInput || !searchResults) return;
 
+    this.initSearchCombobox(searchInput, searchResults);
+
     // Debounce search input
     let searchTimeout;
     searchInput.addEventListener('input', (e) => {
@@ -99,27 +549,175 @@ class TechBlog {
     // Close search results when clicking outside
     document.addEventListener('click', (e) => {
       if (!searchInput.contains(e.target) && !searchResults.contains(e.target)) {
-        searchResults.style.display = 'none';
+        this.closeSearchResults();
       }
     });
+  }
 
-    // Load search index
-    this.loadSearchIndex();
+  /**
+   * Search Combobox
+   * WAI-ARIA combobox: the input owns a listbox popup and tracks the active option
+   * with aria-activedescendant so focus never leaves the input
+   */
+  initSearchCombobox(input, popup) {
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', 'search-listbox');
+    input.setAttribute('autocomplete', 'off');
+    if (!input.hasAttribute('aria-label')) {
+      input.setAttribute('aria-label', 'Search articles');
+    }
+
+    // Announces result counts to screen readers
+    const status = document.createElement('div');
+    status.id = 'search-status';
+    status.className = 'sr-only';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    popup.parentNode.insertBefore(status, popup.nextSibling);
+
+    input.addEventListener('keydown', (e) => {
+      const options = Array.from(popup.querySelectorAll('[role="option"]'));
+      const isOpen = input.getAttribute('aria-expanded') === 'true';
+      const activeIndex = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (!isOpen) {
+            this.performSearch(input.value, popup);
+          } else if (options.length) {
+            this.setActiveSearchOption((activeIndex + 1) % options.length);
+          }
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (isOpen && options.length) {
+            this.setActiveSearchOption(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+          }
+          break;
+        case 'Home':
+        case 'End':
+          // Only take over Home/End while an option is active; otherwise they move the caret
+          if (isOpen && activeIndex !== -1) {
+            e.preventDefault();
+            this.setActiveSearchOption(e.key === 'Home' ? 0 : options.length - 1);
+          }
+          break;
+        case 'Enter':
+          if (activeIndex !== -1) {
+            e.preventDefault();
+            window.location.href = options[activeIndex].querySelector('a').href;
+          } else if (input.value.trim().length >= 2) {
+            e.preventDefault();
+            window.location.href = this.searchPageURL(input.value);
+          }
+          break;
+        case 'Escape':
+          if (!isOpen) {
+            input.value = '';
+          }
+          break;
+        case 'Tab':
+          this.closeSearchResults();
+          break;
+      }
+    });
+
+    popup.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        const options = Array.from(popup.querySelectorAll('[role="option"]'));
+        this.setActiveSearchOption(options.indexOf(option));
+      }
+    });
+  }
+
+  setActiveSearchOption(index) {
+    const input = document.getElementById('search-input');
+    const options = document.querySelectorAll('#search-listbox [role="option"]');
+
+    options.forEach((option, i) => {
+      const isActive = i === index;
+      option.setAttribute('aria-selected', String(isActive));
+      option.classList.toggle('active', isActive);
+
+      if (isActive) {
+        input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  closeSearchResults() {
+    const input = document.getElementById('search-input');
+    const popup = document.getElementById('search-results');
+
+    if (popup) {
+      popup.style.display = 'none';
+    }
+    if (input) {
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  announceSearchStatus(message) {
+    const status = document.getElementById('search-status');
+    if (status) {
+      status.textContent = message;
+    }
   }
 
   async loadSearchIndex() {
-    try {
-      // In a real implementation, this would load a pre-generated search index
-      const response = await fetch('/search-index.json');
-      if (response.ok) {
-        this.searchIndex = await response.json();
-      } else {
-        // Fallback: create simple search index from page content
-        this.createSimpleSearchIndex();
+    if (this.canUseSearchWorker()) {
+      try {
+        await this.initSearchWorker('/search-index.json');
+        return;
+      } catch (error) {
+        console.log('Search worker unavailable, searching on the main thread');
+        this.terminateSearchWorker();
       }
+    }
+
+    await this.loadSearchIndexInThread();
+  }
+
+  async loadSearchIndexInThread() {
+    // Build the inverted index once so each keystroke only has to score
+    const engine = new SearchEngine();
+
+    try {
+      await engine.loadIndex('/search-index.json', {
+        onProgress: () => {
+          if (this.searchEngine === engine) this.refreshSearchResults();
+        }
+      });
     } catch (error) {
+      // Fallback: create simple search index from page content
       console.log('Search index not available, creating simple index');
       this.createSimpleSearchIndex();
+      this.searchEngine = new SearchEngine(this.searchIndex);
+      return;
+    }
+
+    this.searchEngine = engine;
+    engine.loading.catch(error => console.warn('Could not load the whole search index:', error));
+  }
+
+  // Shards that load after a search ran can hold more matches, so show it again
+  refreshSearchResults() {
+    const pageInput = document.getElementById('search-page-input');
+    if (pageInput && pageInput.value.trim()) {
+      const page = Number(new URLSearchParams(window.location.search).get('page')) || 1;
+      this.renderSearchPage(pageInput.value, page);
+    }
+
+    const input = document.getElementById('search-input');
+    const popup = document.getElementById('search-results');
+    if (input && popup && input.getAttribute('aria-expanded') === 'true') {
+      this.performSearch(input.value, popup);
     }
   }
 
@@ -145,95 +743,487 @@ class TechBlog {
     });
   }
 
-  performSearch(query, resultsContainer) {
+  async performSearch(query, resultsContainer) {
     if (!query || query.length < 2) {
-      resultsContainer.style.display = 'none';
+      this.searchToken = null;
+      this.closeSearchResults();
+      this.announceSearchStatus('');
       return;
     }
 
-    const results = this.searchIndex ? this.searchContent(query) : this.fallbackSearch(query);
-    this.displaySearchResults(results, resultsContainer);
-  }
+    const search = await this.runSearch(query, { limit: 5 });
+    if (!search) return;
 
-  searchContent(query) {
-    const searchTerms = query.toLowerCase().split(' ').filter(term => term.length > 1);
-    
-    return this.searchIndex.filter(item => {
-      const content = item.content.toLowerCase();
-      return searchTerms.some(term => content.includes(term));
-    }).slice(0, 5); // Limit to 5 results
+    this.displaySearchResults(search.results, resultsContainer, search.parsedQuery, search.total, query);
   }
 
-  fallbackSearch(query) {
-    // Simple fallback search using visible content
-    const results = [];
-    const searchTerm = query.toLowerCase();
-    
-    document.querySelectorAll('.post-card').forEach(card => {
-      const title = card.querySelector('h3 a')?.textContent.toLowerCase();
-      const excerpt = card.querySelector('.post-excerpt')?.textContent.toLowerCase();
-      
-      if ((title && title.includes(searchTerm)) || (excerpt && excerpt.includes(searchTerm))) {
-        results.push({
-          title: card.querySelector('h3 a')?.textContent,
-          excerpt: card.querySelector('.post-excerpt')?.textContent,
-          url: card.querySelector('h3 a')?.href
-        });
+  /**
+   * Offline Search
+   * While offline, results are limited to pages the service worker has cached
+   */
+  initOfflineSearch() {
+    const toggle = document.getElementById('search-offline-only');
+    const setOfflineOnly = (enabled) => {
+      this.offlineSearchOnly = enabled;
+      if (toggle) {
+        toggle.checked = enabled;
       }
-    });
-    
-    return results.slice(0, 5);
-  }
+    };
 
-  displaySearchResults(results, container) {
-    if (results.length === 0) {
-      container.innerHTML = '<p>No results found. Try different keywords.</p>';
-    } else {
-      container.innerHTML = results.map(result => `
-        <div class="search-result">
-          <h4><a href="${result.url}">${this.highlightSearchTerm(result.title, 'search-query')}</a></h4>
-          <p>${this.truncateText(result.excerpt, 100)}</p>
-        </div>
-      `).join('');
+    setOfflineOnly(!navigator.onLine);
+    window.addEventListener('offline', () => setOfflineOnly(true));
+    window.addEventListener('online', () => setOfflineOnly(false));
+
+    if (toggle) {
+      toggle.addEventListener('change', () => {
+        this.offlineSearchOnly = toggle.checked;
+        const input = document.getElementById('search-page-input');
+        if (input) {
+          this.searchReady.then(() => this.renderSearchPage(input.value, 1));
+        }
+      });
     }
-    
-    container.style.display = 'block';
-  }
 
-  highlightSearchTerm(text, query) {
-    // Simple highlighting (in a real app, you'd use a more sophisticated approach)
-    return text;
+    // A new build's index replaces the one loaded at startup
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'SEARCH_INDEX_UPDATED') {
+          this.terminateSearchWorker();
+          this.searchEngine = null;
+          this.searchReady = this.loadSearchIndex();
+        }
+      });
+    }
   }
 
-  truncateText(text, maxLength) {
-    if (!text) return '';
-    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  // Paths of the pages the service worker can serve offline, or null when it isn't running
+  async getCachedArticleURLs() {
+    const reply = await this.messageServiceWorker({ type: 'GET_CACHED_ARTICLES' });
+    return reply ? reply.urls : null;
   }
 
-  /**
-   * Progressive Web App Features
-   */
-  initProgressiveWebApp() {
+  // Resolves to { parsedQuery, total, results }, or null when a newer search superseded this one
+  async runSearch(query, { offset = 0, limit = Infinity } = {}) {
+    const searchToken = this.searchToken = {};
+    const parsedQuery = SearchQuery.parse(query);
+
+    if (this.offlineSearchOnly) {
+      parsedQuery.within = await this.getCachedArticleURLs();
+    }
+
+    const fallback = () => {
+      const results = this.fallbackSearch(query);
+      return { total: results.length, results: results.slice(offset, offset + limit) };
+    };
+
+    let found;
+    try {
+      found = this.searchWorkerLoaded || this.searchEngine
+        ? await this.findSearchResults(parsedQuery, { offset, limit })
+        : fallback();
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      console.error('Search failed:', error);
+      found = fallback();
+    }
+
+    return searchToken === this.searchToken ? { parsedQuery, ...found } : null;
+  }
+
+  // Matching entries, best first, as { total, results }. Runs in the search worker when
+  // available and rejects with an AbortError when a newer search supersedes it.
+  async findSearchResults(query, { offset = 0, limit = Infinity } = {}) {
+    const parsedQuery = typeof query === 'string' ? SearchQuery.parse(query) : query;
+
+    if (this.searchWorker) {
+      return this.requestSearchWorker('search', { query: parsedQuery, offset, limit });
+    }
+
+    const results = this.searchEngine.query(parsedQuery);
+    return { total: results.length, results: results.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Search Worker
+   * Fetching, indexing and scoring happen off the main thread so typing stays smooth
+   */
+  canUseSearchWorker() {
+    return typeof Worker !== 'undefined';
+  }
+
+  initSearchWorker(indexURL) {
+    this.searchWorker = new Worker('/assets/js/search-worker.js');
+    this.searchWorkerRequests = new Map();
+    this.searchWorkerRequestId = 0;
+
+    this.searchWorker.addEventListener('message', (e) => {
+      if (e.data.type === 'progress') {
+        this.refreshSearchResults();
+        return;
+      }
+
+      const { id, result, error } = e.data;
+      const request = this.searchWorkerRequests.get(id);
+      if (!request) return; // Superseded search
+
+      this.searchWorkerRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    });
+
+    // A worker that crashes after loading hands searching back to the main thread
+    this.searchWorker.addEventListener('error', (e) => {
+      e.preventDefault();
+      const loaded = Boolean(this.searchWorkerLoaded);
+      this.terminateSearchWorker();
+
+      if (loaded) {
+        console.log('Search worker failed, searching on the main thread');
+        this.searchReady = this.loadSearchIndexInThread();
+      }
+    });
+
+    return this.requestSearchWorker('load', { url: new URL(indexURL, window.location.href).href })
+      .then(() => {
+        this.searchWorkerLoaded = true;
+      });
+  }
+
+  requestSearchWorker(type, payload) {
+    return new Promise((resolve, reject) => {
+      if (!this.searchWorker) {
+        reject(new Error('Search worker is not running'));
+        return;
+      }
+
+      // Only the latest search matters; cancel the one still in flight
+      if (type === 'search' && this.activeSearchRequest) {
+        const staleId = this.activeSearchRequest;
+        const stale = this.searchWorkerRequests.get(staleId);
+        if (stale) {
+          this.searchWorkerRequests.delete(staleId);
+          this.searchWorker.postMessage({ id: staleId, type: 'cancel' });
+          stale.reject(new DOMException('Search superseded by a newer query', 'AbortError'));
+        }
+      }
+
+      const id = ++this.searchWorkerRequestId;
+      if (type === 'search') {
+        this.activeSearchRequest = id;
+      }
+
+      this.searchWorkerRequests.set(id, { resolve, reject });
+      this.searchWorker.postMessage({ id, type, payload });
+    });
+  }
+
+  terminateSearchWorker() {
+    if (this.searchWorker) {
+      this.searchWorker.terminate();
+    }
+
+    if (this.searchWorkerRequests) {
+      this.searchWorkerRequests.forEach(request => request.reject(new Error('Search worker stopped')));
+      this.searchWorkerRequests.clear();
+    }
+
+    this.searchWorker = null;
+    this.searchWorkerLoaded = false;
+  }
+
+  fallbackSearch(query) {
+    // Simple fallback search using visible content
+    const results = [];
+    const searchTerm = query.toLowerCase();
+    
+    document.querySelectorAll('.post-card').forEach(card => {
+      const title = card.querySelector('h3 a')?.textContent.toLowerCase();
+      const excerpt = card.querySelector('.post-excerpt')?.textContent.toLowerCase();
+      
+      if ((title && title.includes(searchTerm)) || (excerpt && excerpt.includes(searchTerm))) {
+        results.push({
+          title: card.querySelector('h3 a')?.textContent,
+          excerpt: card.querySelector('.post-excerpt')?.textContent,
+          url: card.querySelector('h3 a')?.href,
+          terms: SearchEngine.tokenize(query)
+        });
+      }
+    });
+    
+    return results.slice(0, 5);
+  }
+
+  displaySearchResults(results, container, parsedQuery = null, total = results.length, query = '') {
+    const input = document.getElementById('search-input');
+
+    if (results.length === 0) {
+      container.innerHTML = `${this.renderSearchNotices(parsedQuery)}<p>No results found. Try different keywords.</p>`;
+      this.announceSearchStatus('No results found.');
+    } else {
+      container.innerHTML = `
+        ${this.renderSearchNotices(parsedQuery)}
+        <ul id="search-listbox" role="listbox" aria-label="Search results">
+          ${results.map((result, i) => `
+            <li id="search-option-${i}" class="search-result" role="option" aria-selected="false">
+              <h4><a href="${this.escapeHTML(result.url)}" tabindex="-1">${this.renderSearchResultTitle(result)}</a></h4>
+              <p class="search-snippet">${this.createSearchSnippet(result, result.terms)}</p>
+            </li>
+          `).join('')}
+        </ul>
+        <a class="search-all" href="${this.escapeHTML(this.searchPageURL(query))}">See all ${total} result${total === 1 ? '' : 's'}</a>
+      `;
+      this.announceSearchStatus(
+        `${total} result${total === 1 ? '' : 's'} available. Use the up and down arrow keys to browse.`
+      );
+    }
+    
+    container.style.display = 'block';
+    if (input) {
+      input.setAttribute('aria-expanded', 'true');
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // "Article title › Section heading" for results that point into an article
+  renderSearchResultTitle(result) {
+    const title = this.highlightSearchTerm(result.title, result.terms);
+    if (!result.section) return title;
+
+    return `${title} <span class="search-result-section">› ${this.highlightSearchTerm(result.section, result.terms)}</span>`;
+  }
+
+  // Malformed filters are reported but the rest of the query still runs
+  renderSearchNotices(parsedQuery) {
+    if (!parsedQuery) return '';
+
+    const errors = parsedQuery.errors
+      .map(error => `<p class="search-error">${this.escapeHTML(error)}</p>`)
+      .join('');
+    const offlineNote = parsedQuery.within
+      ? '<p class="search-offline-note">Showing only articles available offline.</p>'
+      : '';
+
+    return errors + offlineNote;
+  }
+
+  // Escape text and wrap every word whose stem is one of the matched terms in <mark>
+  highlightSearchTerm(text, terms = []) {
+    if (!text) return '';
+
+    let html = '';
+    let position = 0;
+
+    SearchEngine.matchRanges(text, terms).forEach(({ start, end }) => {
+      html += `${this.escapeHTML(text.slice(position, start))}<mark>${this.escapeHTML(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+
+    return html + this.escapeHTML(text.slice(position));
+  }
+
+  // Excerpt of the indexed content centred on the densest cluster of matches
+  createSearchSnippet(result, terms = [], length = 160) {
+    const content = (result.content || result.excerpt || '').replace(/\s+/g, ' ').trim();
+    const ranges = SearchEngine.matchRanges(content, terms);
+
+    if (ranges.length === 0) {
+      return this.highlightSearchTerm(this.truncateText(result.excerpt || content, length), terms);
+    }
+
+    let best = ranges[0];
+    let bestCount = 0;
+    ranges.forEach(range => {
+      const nearby = new Set(ranges
+        .filter(other => Math.abs(other.start - range.start) <= length / 2)
+        .map(other => other.term));
+
+      if (nearby.size > bestCount) {
+        best = range;
+        bestCount = nearby.size;
+      }
+    });
+
+    const centre = (best.start + best.end) / 2;
+    let end = Math.min(content.length, Math.max(length, Math.round(centre + length / 2)));
+    let start = Math.max(0, end - length);
+
+    // Avoid cutting words in half at either edge
+    if (start > 0) {
+      const space = content.indexOf(' ', start);
+      if (space !== -1 && space < best.start) start = space + 1;
+    }
+    if (end < content.length) {
+      const space = content.lastIndexOf(' ', end);
+      if (space > best.end) end = space;
+    }
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < content.length ? '...' : '';
+    return prefix + this.highlightSearchTerm(content.slice(start, end), terms) + suffix;
+  }
+
+  /**
+   * Search Results Page
+   * /search/?q=... keeps the query, filters and page number in the URL so results can be shared
+   */
+  initSearchPage() {
+    const input = document.getElementById('search-page-input');
+    const resultsContainer = document.getElementById('search-page-results');
+
+    if (!input || !resultsContainer) return;
+
+    const renderFromURL = () => {
+      const params = new URLSearchParams(window.location.search);
+      input.value = this.readSearchParams(params);
+      this.searchReady.then(() => {
+        this.renderSearchPage(input.value, Number(params.get('page')) || 1);
+      });
+    };
+
+    // Keep the URL in sync while typing without adding a history entry per keystroke
+    input.addEventListener('input', this.debounce(() => {
+      window.history.replaceState(null, '', this.searchPageURL(input.value));
+      this.searchReady.then(() => this.renderSearchPage(input.value, 1));
+    }, 300));
+
+    if (input.form) {
+      input.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        window.history.pushState(null, '', this.searchPageURL(input.value));
+        this.searchReady.then(() => this.renderSearchPage(input.value, 1));
+      });
+    }
+
+    document.getElementById('search-page-pagination')?.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href]');
+      if (!link) return;
+
+      e.preventDefault();
+      window.history.pushState(null, '', link.href);
+      renderFromURL();
+      document.getElementById('search-page-status')?.focus();
+    });
+
+    window.addEventListener('popstate', renderFromURL);
+    renderFromURL();
+  }
+
+  async renderSearchPage(query, page = 1) {
+    const resultsContainer = document.getElementById('search-page-results');
+    const status = document.getElementById('search-page-status');
+    const pagination = document.getElementById('search-page-pagination');
+    const pageSize = 10;
+
+    if (!query.trim()) {
+      this.searchToken = null;
+      resultsContainer.innerHTML = '';
+      pagination.innerHTML = '';
+      status.textContent = '';
+      return;
+    }
+
+    let currentPage = Math.max(1, page);
+    let search = await this.runSearch(query, { offset: (currentPage - 1) * pageSize, limit: pageSize });
+    if (!search) return;
+
+    // Out-of-range ?page= values show the last page instead of nothing
+    const totalPages = Math.max(1, Math.ceil(search.total / pageSize));
+    if (currentPage > totalPages) {
+      currentPage = totalPages;
+      search = await this.runSearch(query, { offset: (currentPage - 1) * pageSize, limit: pageSize });
+      if (!search) return;
+    }
+
+    const { parsedQuery, total, results } = search;
+    const offset = (currentPage - 1) * pageSize;
+
+    const pageInfo = totalPages > 1 ? ` (page ${currentPage} of ${totalPages})` : '';
+    status.textContent = total
+      ? `${total} result${total === 1 ? '' : 's'} for “${query}”${pageInfo}`
+      : `No results for “${query}”. Try different keywords.`;
+
+    resultsContainer.innerHTML = `
+      ${this.renderSearchNotices(parsedQuery)}
+      <ol class="search-page-list" start="${offset + 1}">
+        ${results.map(result => `
+          <li class="search-result">
+            <h3><a href="${this.escapeHTML(result.url)}">${this.renderSearchResultTitle(result)}</a></h3>
+            ${result.date ? `<time class="search-result-date" datetime="${this.escapeHTML(result.date)}">${this.formatDate(result.date)}</time>` : ''}
+            <p class="search-snippet">${this.createSearchSnippet(result, result.terms, 240)}</p>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    const pageLink = (number, label, className = 'pagination-link') =>
+      `<a href="${this.escapeHTML(this.searchPageURL(query, number))}" class="${className}">${label}</a>`;
+
+    let pages = '';
+    if (totalPages > 1) {
+      if (currentPage > 1) pages += pageLink(currentPage - 1, '« Previous');
+      for (let number = 1; number <= totalPages; number++) {
+        pages += number === currentPage
+          ? `<span class="pagination-link current" aria-current="page">${number}</span>`
+          : pageLink(number, number);
+      }
+      if (currentPage < totalPages) pages += pageLink(currentPage + 1, 'Next »');
+    }
+    pagination.innerHTML = pages;
+  }
+
+  // Combine ?q= with filter parameters such as ?tag=jekyll&after=2024-09 into one query string
+  readSearchParams(params) {
+    const quote = value => /\s/.test(value) ? `"${value}"` : value;
+    const parts = [params.get('q') || ''];
+
+    ['tag', 'category', 'author', 'after', 'before'].forEach(field => {
+      params.getAll(field).forEach(value => {
+        parts.push(`${field}:${quote(value)}`);
+      });
+    });
+
+    return parts.filter(Boolean).join(' ').trim();
+  }
+
+  // Inverse of readSearchParams: filters get their own parameters, everything else stays in q
+  searchPageURL(query, page = 1) {
+    const parsedQuery = SearchQuery.parse(query);
+    const quote = value => /\s/.test(value) ? `"${value}"` : value;
+    const params = new URLSearchParams();
+    const rest = [
+      ...parsedQuery.text,
+      ...parsedQuery.phrases.map(phrase => `"${phrase}"`),
+      ...parsedQuery.exclude.map(word => `-${quote(word)}`),
+      ...parsedQuery.filters.filter(({ negate }) => negate).map(({ field, value }) => `-${field}:${quote(value)}`)
+    ];
+
+    if (rest.length) params.set('q', rest.join(' '));
+    parsedQuery.filters.filter(({ negate }) => !negate).forEach(({ field, value }) => {
+      params.append(field, value);
+    });
+    if (parsedQuery.after) params.set('after', parsedQuery.after);
+    if (parsedQuery.before) params.set('before', parsedQuery.before);
+    if (page > 1) params.set('page', page);
+
+    return `/search/?${params}`;
+  }
+
+  truncateText(text, maxLength) {
+    if (!text) return '';
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  }
+
+  /**
+   * Progressive Web App Features
+   */
+  initProgressiveWebApp() {
     // Register service worker
     if ('serviceWorker' in navigator) {
       window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-          .then(registration => {
-            console.log('ServiceWorker registration successful');
-            
-            // Check for updates
-            registration.addEventListener('updatefound', () => {
-              const newWorker = registration.installing;
-              newWorker.addEventListener('statechange', () => {
-                if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                  this.showUpdateNotification();
-                }
-              });
-            });
-          })
-          .catch(registrationError => {
-            console.log('ServiceWorker registration failed');
-          });
+        this.registerServiceWorker();
       });
     }
 
@@ -246,15 +1236,125 @@ class TechBlog {
     });
   }
 
-  showUpdateNotification() {
+  /**
+   * Service worker updates
+   * A new worker waits until the reader accepts the update banner. Accepting sends it
+   * SKIP_WAITING; the page reloads once when it takes control.
+   */
+  async registerServiceWorker() {
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register('/sw.js');
+      console.log('ServiceWorker registration successful');
+    } catch (registrationError) {
+      console.log('ServiceWorker registration failed');
+      return;
+    }
+
+    // The first install takes control without a reload; only replacements need one. The
+    // controller is tracked rather than read once: a tab opened on the first visit is only
+    // claimed later, and must still reload when it (or another tab) accepts an update.
+    let controlled = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if ((controlled || this.updateAccepted) && !reloading) {
+        reloading = true;
+        window.location.reload();
+      }
+      controlled = Boolean(navigator.serviceWorker.controller);
+    });
+
+    // A worker may already be waiting from an earlier visit
+    if (registration.waiting && controlled) {
+      this.showUpdateNotification(registration.waiting);
+    }
+
+    // Check for updates
+    registration.addEventListener('updatefound', () => {
+      const newWorker = registration.installing;
+      newWorker.addEventListener('statechange', () => {
+        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdateNotification(newWorker);
+        }
+      });
+    });
+
+    // Long-lived tabs look for a new version every hour and whenever they're shown again
+    const checkForUpdate = () => registration.update().catch(() => {});
+    setInterval(checkForUpdate, 60 * 60 * 1000);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        checkForUpdate();
+      }
+    });
+  }
+
+  // Sends a message to the controlling service worker (or the given worker) and resolves
+  // to its reply through a MessageChannel, or to null when no reply arrives in time
+  messageServiceWorker(message, { timeout = 2000, worker } = {}) {
+    const controller = worker || (navigator.serviceWorker && navigator.serviceWorker.controller);
+    if (!controller) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(null), timeout);
+
+      channel.port1.onmessage = (e) => {
+        clearTimeout(timer);
+        resolve(e.data);
+      };
+      controller.postMessage(message, [channel.port2]);
+    });
+  }
+
+  // Resolves once a service worker controls the page, or to null without support
+  whenServiceWorkerControlled() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    if (navigator.serviceWorker.controller) return Promise.resolve(navigator.serviceWorker.controller);
+
+    return new Promise(resolve => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        resolve(navigator.serviceWorker.controller);
+      }, { once: true });
+    });
+  }
+
+  async showUpdateNotification(worker) {
+    if (document.querySelector('.update-notification')) return;
+
     const notification = document.createElement('div');
     notification.className = 'update-notification';
+    notification.setAttribute('role', 'status');
     notification.innerHTML = `
-      <p>A new version is available!</p>
-      <button onclick="window.location.reload()">Update</button>
-      <button onclick="this.parentElement.remove()">Later</button>
+      <p class="update-notification-title">A new version is available!</p>
+      <p class="update-notification-note" hidden></p>
+      <div class="update-notification-actions">
+        <button type="button" class="update-notification-accept">Update</button>
+        <button type="button" class="update-notification-dismiss">Later</button>
+      </div>
     `;
+
+    const acceptButton = notification.querySelector('.update-notification-accept');
+    acceptButton.addEventListener('click', () => {
+      acceptButton.disabled = true;
+      acceptButton.textContent = 'Updating...';
+      this.updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    notification.querySelector('.update-notification-dismiss').addEventListener('click', () => {
+      notification.remove();
+    });
+
     document.body.appendChild(notification);
+
+    // The waiting worker knows what changed in its release
+    const reply = await this.messageServiceWorker({ type: 'GET_RELEASE_NOTE' }, { worker });
+    if (reply && reply.note) {
+      const note = notification.querySelector('.update-notification-note');
+      note.textContent = reply.note;
+      note.hidden = false;
+    }
   }
 
   showInstallButton(deferredPrompt) {
@@ -277,72 +1377,518 @@ class TechBlog {
   }
 
   /**
-   * Scroll to Top Button
+   * Saved Articles (offline reading list)
+   * The service worker owns the saved-articles cache; the page only sends requests and
+   * renders the list it gets back.
    */
-  initScrollToTop() {
-    const scrollButton = document.createElement('button');
-    scrollButton.className = 'scroll-to-top';
-    scrollButton.innerHTML = '↑';
-    scrollButton.setAttribute('aria-label', 'Scroll to top');
-    scrollButton.style.cssText = `
-      position: fixed;
-      bottom: 2rem;
-      right: 2rem;
-      width: 3rem;
-      height: 3rem;
-      border-radius: 50%;
-      background: var(--primary-color);
-      color: white;
-      border: none;
-      font-size: 1.2rem;
-      cursor: pointer;
-      opacity: 0;
-      visibility: hidden;
-      transition: all 0.3s ease;
-      z-index: 1000;
-    `;
-    
-    document.body.appendChild(scrollButton);
+  initSavedArticles() {
+    const button = document.querySelector('.save-offline-button');
+    const list = document.getElementById('saved-articles');
+    if (!button && !list) return;
 
-    // Show/hide based on scroll position
-    window.addEventListener('scroll', () => {
-      if (window.pageYOffset > 300) {
-        scrollButton.style.opacity = '1';
-        scrollButton.style.visibility = 'visible';
-      } else {
-        scrollButton.style.opacity = '0';
-        scrollButton.style.visibility = 'hidden';
+    this.savedArticles = [];
+
+    if (!('serviceWorker' in navigator)) {
+      this.renderSavedArticles(null);
+      return;
+    }
+
+    // Saves and removals made in other tabs
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'SAVED_ARTICLES_CHANGED') {
+        this.updateSavedArticles(e.data.articles);
       }
     });
 
-    // Scroll to top on click
-    scrollButton.addEventListener('click', () => {
-      window.scrollTo({
-        top: 0,
-        behavior: 'smooth'
-      });
-    });
-  }
+    if (button) {
+      button.addEventListener('click', () => this.toggleSavedArticle(button));
+    }
 
-  /**
-   * Smooth Scrolling for Anchor Links
-   */
-  initSmoothScrolling() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        e.preventDefault();
-        const target = document.querySelector(anchor.getAttribute('href'));
-        if (target) {
-          target.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          });
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('[data-remove-url]');
+        if (removeButton) {
+          removeButton.disabled = true;
+          this.updateSavedArticlesFrom({ type: 'REMOVE_SAVED_ARTICLE', url: removeButton.dataset.removeUrl });
         }
       });
-    });
-  }
 
-  /**
+      const clearButton = document.querySelector('.saved-articles-clear');
+      if (clearButton) {
+        clearButton.addEventListener('click', () => {
+          if (confirm('Remove all saved articles from this device?')) {
+            this.updateSavedArticlesFrom({ type: 'CLEAR_SAVED_ARTICLES' });
+          }
+        });
+      }
+    }
+
+    this.whenServiceWorkerControlled().then(() => {
+      if (button) button.hidden = false;
+      this.updateSavedArticlesFrom({ type: 'GET_SAVED_ARTICLES' });
+    });
+  }
+
+  async toggleSavedArticle(button) {
+    const saved = button.getAttribute('aria-pressed') === 'true';
+    button.disabled = true;
+    button.textContent = saved ? 'Removing...' : 'Saving...';
+
+    const reply = saved
+      ? await this.updateSavedArticlesFrom({ type: 'REMOVE_SAVED_ARTICLE', url: this.currentArticleURL() })
+      : await this.updateSavedArticlesFrom({ type: 'SAVE_ARTICLE', article: this.describeCurrentArticle() });
+
+    button.disabled = false;
+    if (!reply || reply.error) {
+      button.textContent = saved ? 'Removing failed, try again' : 'Saving failed, try again';
+      return;
+    }
+
+    // Ask the browser not to evict our storage under pressure
+    if (!saved && navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist();
+    }
+  }
+
+  // The HTML plus the images and code-highlighting assets it needs offline
+  describeCurrentArticle() {
+    const title = document.querySelector('.post-title');
+    const images = Array.from(document.querySelectorAll('.post-content img'))
+      .map(img => img.dataset.src || img.currentSrc || img.src);
+    const highlighting = this.highlighter ? this.highlighter.resources() : [];
+
+    return {
+      url: this.currentArticleURL(),
+      title: title ? title.textContent.trim() : document.title,
+      resources: [...images, ...highlighting].filter(Boolean)
+    };
+  }
+
+  currentArticleURL() {
+    return window.location.origin + window.location.pathname;
+  }
+
+  async updateSavedArticlesFrom(message) {
+    // Saving downloads the article and its images, so allow more than the default wait
+    const reply = await this.messageServiceWorker(message, { timeout: 30000 });
+    if (reply) {
+      this.updateSavedArticles(reply.articles);
+    }
+    return reply;
+  }
+
+  updateSavedArticles(articles) {
+    this.savedArticles = articles;
+
+    const button = document.querySelector('.save-offline-button');
+    if (button) {
+      const saved = articles.some(article => article.path === window.location.pathname);
+      button.setAttribute('aria-pressed', String(saved));
+      button.textContent = saved ? 'Saved for offline ✓' : 'Save for offline';
+    }
+
+    this.renderSavedArticles(articles);
+  }
+
+  renderSavedArticles(articles) {
+    const list = document.getElementById('saved-articles');
+    const status = document.getElementById('saved-articles-status');
+    const clearButton = document.querySelector('.saved-articles-clear');
+    if (!list) return;
+
+    if (!articles) {
+      status.textContent = 'Saving articles for offline reading is not supported in this browser.';
+      return;
+    }
+
+    if (articles.length === 0) {
+      status.textContent = 'No saved articles yet. Use "Save for offline" on any article to read it without a connection.';
+    } else {
+      const totalSize = articles.reduce((sum, article) => sum + article.size, 0);
+      status.textContent = `${articles.length} saved ${articles.length === 1 ? 'article' : 'articles'}, ${this.formatBytes(totalSize)} in total.`;
+    }
+
+    list.innerHTML = articles.map(article => `
+      <li class="saved-article">
+        <div class="saved-article-info">
+          <a class="saved-article-title" href="${this.escapeHTML(article.path)}">${this.escapeHTML(article.title)}</a>
+          <span class="saved-article-meta">${this.formatBytes(article.size)} · saved ${this.formatDate(article.savedAt.slice(0, 10))}</span>
+        </div>
+        <button type="button" class="saved-article-remove" data-remove-url="${this.escapeHTML(article.url)}" aria-label="Remove ${this.escapeHTML(article.title)}">Remove</button>
+      </li>
+    `).join('');
+
+    if (clearButton) {
+      clearButton.hidden = articles.length === 0;
+    }
+  }
+
+  /**
+   * Offline Page
+   * The service worker serves offline.html in place of a page it couldn't fetch, so the
+   * address bar still shows the page the reader asked for and reloading retries it.
+   * navigator.onLine only says a network interface is up, so the page is probed before
+   * reloading instead of trusting the online event alone.
+   */
+  initOfflinePage() {
+    const list = document.getElementById('offline-articles');
+    if (!list) return;
+
+    // Opened directly rather than as a fallback: the homepage is the page to go back to
+    this.offlineRetryURL = window.location.pathname === '/offline.html' ? '/' : window.location.href;
+
+    const retryButton = document.querySelector('.offline-retry');
+    if (retryButton) {
+      retryButton.addEventListener('click', () => this.retryOfflinePage({ manual: true }));
+    }
+
+    window.addEventListener('online', () => this.retryOfflinePage());
+    setInterval(() => {
+      if (navigator.onLine && document.visibilityState === 'visible') {
+        this.retryOfflinePage();
+      }
+    }, 15 * 1000);
+
+    this.loadOfflineArticles();
+  }
+
+  async retryOfflinePage({ manual = false } = {}) {
+    const status = document.getElementById('offline-retry-status');
+    if (manual) status.textContent = 'Checking your connection...';
+
+    try {
+      // The service worker's fetch handler leaves non-GET requests alone, so this HEAD
+      // probe reaches the network instead of being answered from the cache
+      const response = await fetch(this.offlineRetryURL, { method: 'HEAD', cache: 'no-store' });
+      if (response.ok) {
+        status.textContent = 'You\'re back online. Reloading...';
+        window.location.replace(this.offlineRetryURL);
+        return;
+      }
+    } catch (error) {
+      // Still offline
+    }
+
+    if (manual) {
+      status.textContent = 'Still offline. This page will reload automatically when your connection returns.';
+    }
+  }
+
+  async loadOfflineArticles() {
+    await this.whenServiceWorkerControlled();
+    const reply = await this.messageServiceWorker({ type: 'GET_OFFLINE_ARTICLES' }, { timeout: 10000 });
+    this.renderOfflineArticles(reply ? reply.articles : []);
+  }
+
+  // Saved articles first, then newest first; undated pages last
+  renderOfflineArticles(articles) {
+    const list = document.getElementById('offline-articles');
+    const status = document.getElementById('offline-articles-status');
+
+    articles.sort((a, b) =>
+      (b.saved - a.saved) ||
+      (b.date || '').localeCompare(a.date || '') ||
+      a.title.localeCompare(b.title));
+
+    status.textContent = articles.length
+      ? `${articles.length} ${articles.length === 1 ? 'page is' : 'pages are'} available offline.`
+      : 'No cached articles available. Visit some articles while online, or save them for offline, to read them here.';
+
+    list.innerHTML = articles.map(article => `
+      <li class="offline-article">
+        <a class="offline-article-title" href="${this.escapeHTML(article.path)}">${this.escapeHTML(article.title)}</a>
+        <span class="offline-article-meta">
+          ${article.date ? `<time datetime="${this.escapeHTML(article.date)}">${this.formatDate(article.date)}</time>` : ''}
+          ${article.saved ? '<span class="offline-article-saved">Saved</span>' : ''}
+        </span>
+        ${article.excerpt ? `<p class="offline-article-excerpt">${this.escapeHTML(article.excerpt)}</p>` : ''}
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Push Notifications
+   * Opt-in notifications for new articles. The subscription and the reader's category
+   * topics are sent to the configured endpoint, which filters by topic when it pushes.
+   */
+  initPushNotifications() {
+    const container = document.querySelector('.push-subscription');
+    if (!container) return;
+
+    const { vapidKey, endpoint } = container.dataset;
+    const supported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    if (!supported || !vapidKey || !endpoint) return;
+
+    container.hidden = false;
+
+    const toggle = container.querySelector('.push-toggle');
+    const topics = container.querySelectorAll('input[name="push-topic"]');
+    const savedTopics = this.getPushTopics();
+    topics.forEach(input => {
+      input.checked = savedTopics.includes(input.value);
+    });
+
+    toggle.addEventListener('click', async () => {
+      toggle.disabled = true;
+      const unsubscribing = toggle.getAttribute('aria-pressed') === 'true';
+      try {
+        if (unsubscribing) {
+          await this.unsubscribeFromPush(container);
+        } else {
+          await this.subscribeToPush(container);
+        }
+      } catch (error) {
+        console.error('Push notification toggle failed:', error);
+        this.setPushStatus(container, unsubscribing
+          ? 'Could not turn off notifications. Please try again.'
+          : 'Could not turn on notifications. Please try again.');
+      } finally {
+        toggle.disabled = false;
+      }
+    });
+
+    container.querySelector('.push-topics').addEventListener('change', async () => {
+      try {
+        localStorage.setItem('push-topics', JSON.stringify(this.getSelectedPushTopics(container)));
+      } catch (error) {
+        // Storage can be unavailable; the server still gets the new topics below
+      }
+
+      // Existing subscriptions only need their topics updated on the server
+      let saved = true;
+      try {
+        const subscription = await this.getPushSubscription();
+        if (!subscription) return;
+        saved = await this.sendPushSubscription(container, subscription);
+      } catch (error) {
+        console.error('Could not update push topics:', error);
+        saved = false;
+      }
+      this.setPushStatus(container, saved ? 'Notification topics updated.' : 'Could not update your topics. Please try again.');
+    });
+
+    this.getPushSubscription()
+      .then(subscription => {
+        this.updatePushToggle(container, Boolean(subscription) && Notification.permission === 'granted');
+      })
+      .catch(error => console.warn('Could not read the push subscription:', error));
+  }
+
+  async subscribeToPush(container) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      this.setPushStatus(container, permission === 'denied'
+        ? 'Notifications are blocked. Allow them in your browser settings to subscribe.'
+        : 'Notifications were not enabled.');
+      return;
+    }
+
+    let subscription;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.urlBase64ToUint8Array(container.dataset.vapidKey)
+      });
+    } catch (error) {
+      console.error('Push subscription failed:', error);
+      this.setPushStatus(container, 'Could not subscribe to notifications in this browser.');
+      return;
+    }
+
+    // Without the server knowing about it the subscription is useless, so undo it
+    if (!await this.sendPushSubscription(container, subscription)) {
+      await subscription.unsubscribe();
+      this.setPushStatus(container, 'Could not subscribe right now. Please try again later.');
+      return;
+    }
+
+    this.updatePushToggle(container, true);
+    this.setPushStatus(container, 'You will be notified when new articles are published.');
+    this.trackEvent('push_subscribe', { topics: this.getSelectedPushTopics(container).length });
+  }
+
+  async unsubscribeFromPush(container) {
+    const subscription = await this.getPushSubscription();
+
+    if (subscription) {
+      try {
+        await fetch(container.dataset.endpoint, {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+      } catch (error) {
+        // The push service rejects the endpoint once it is unsubscribed below
+        console.warn('Could not notify the server about the unsubscription:', error);
+      }
+      await subscription.unsubscribe();
+    }
+
+    this.updatePushToggle(container, false);
+    this.setPushStatus(container, 'You will no longer receive notifications.');
+  }
+
+  async getPushSubscription() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+
+  async sendPushSubscription(container, subscription) {
+    try {
+      const response = await fetch(container.dataset.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          subscription: subscription.toJSON(),
+          topics: this.getSelectedPushTopics(container)
+        })
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Could not save push subscription:', error);
+      return false;
+    }
+  }
+
+  getPushTopics() {
+    try {
+      return JSON.parse(localStorage.getItem('push-topics')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getSelectedPushTopics(container) {
+    return Array.from(container.querySelectorAll('input[name="push-topic"]:checked'), input => input.value);
+  }
+
+  updatePushToggle(container, subscribed) {
+    const toggle = container.querySelector('.push-toggle');
+    toggle.setAttribute('aria-pressed', String(subscribed));
+    toggle.textContent = subscribed ? '🔕 Stop notifications' : '🔔 Notify me about new articles';
+  }
+
+  setPushStatus(container, message) {
+    container.querySelector('.push-status').textContent = message;
+  }
+
+  // VAPID keys are URL-safe base64; the Push API wants the raw bytes
+  urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Scroll to Top Button
+   */
+  initScrollToTop() {
+    const scrollButton = document.createElement('button');
+    scrollButton.className = 'scroll-to-top';
+    scrollButton.innerHTML = '↑';
+    scrollButton.setAttribute('aria-label', 'Scroll to top');
+    scrollButton.style.cssText = `
+      position: fixed;
+      bottom: 2rem;
+      right: 2rem;
+      width: 3rem;
+      height: 3rem;
+      border-radius: 50%;
+      background: var(--primary-color);
+      color: white;
+      border: none;
+      font-size: 1.2rem;
+      cursor: pointer;
+      opacity: 0;
+      visibility: hidden;
+      transition: all 0.3s ease;
+      z-index: 1000;
+    `;
+    
+    document.body.appendChild(scrollButton);
+
+    // Show/hide based on scroll position
+    window.addEventListener('scroll', () => {
+      if (window.pageYOffset > 300) {
+        scrollButton.style.opacity = '1';
+        scrollButton.style.visibility = 'visible';
+      } else {
+        scrollButton.style.opacity = '0';
+        scrollButton.style.visibility = 'hidden';
+      }
+    });
+
+    // Scroll to top on click
+    scrollButton.addEventListener('click', () => {
+      window.scrollTo({
+        top: 0,
+        behavior: 'smooth'
+      });
+    });
+  }
+
+  /**
+   * Smooth Scrolling for Anchor Links
+   * Delegated, so links added later (table of contents, heading permalinks) scroll too.
+   * The sticky header's height is left free by scroll-padding-top in the stylesheet, and
+   * the target is briefly highlighted, including when the page is opened with a hash.
+   */
+  initSmoothScrolling() {
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest('a[href^="#"]');
+      if (!anchor || e.defaultPrevented) return;
+
+      const target = this.getHashTarget(anchor.getAttribute('href'));
+      if (target) {
+        e.preventDefault();
+        history.pushState(null, '', anchor.getAttribute('href'));
+        this.scrollToSection(target);
+      }
+    });
+
+    window.addEventListener('hashchange', () => {
+      const target = this.getHashTarget(window.location.hash);
+      if (target) {
+        this.scrollToSection(target);
+      }
+    });
+
+    // Incoming section link: the browser has scrolled already unless the id was only
+    // just generated for the table of contents
+    const target = this.getHashTarget(window.location.hash);
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+      this.highlightSection(target);
+    }
+  }
+
+  getHashTarget(hash) {
+    try {
+      const id = decodeURIComponent(hash.slice(1));
+      return id ? document.getElementById(id) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  scrollToSection(target) {
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    target.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'start' });
+    this.highlightSection(target);
+  }
+
+  highlightSection(target) {
+    // Removed for a frame so that linking the same section twice restarts the animation
+    target.classList.remove('section-highlight');
+    requestAnimationFrame(() => {
+      target.classList.add('section-highlight');
+      target.addEventListener('animationend', () => {
+        target.classList.remove('section-highlight');
+      }, { once: true });
+    });
+  }
+
+  /**
    * Lazy Loading for Images
    */
   initLazyLoading() {
@@ -386,136 +1932,1061 @@ class TechBlog {
         rootMargin: '0px 0px -50px 0px'
       });
 
-      document.querySelectorAll('.post-card, .featured-post, .related-post').forEach(el => {
-        el.classList.add('animate-on-scroll');
-        animationObserver.observe(el);
-      });
+      document.querySelectorAll('.post-card, .featured-post, .related-post').forEach(el => {
+        el.classList.add('animate-on-scroll');
+        animationObserver.observe(el);
+      });
+    }
+  }
+
+  /**
+   * Table of Contents
+   * Built from the post's h2-h4 headings as nested lists. Headings keep the ids kramdown
+   * gave them, which links and the search index already point to; headings without one
+   * (raw HTML in a post) get a GitHub-style slug. The open state is remembered, and the
+   * section being read is highlighted.
+   */
+  initTableOfContents() {
+    const toc = document.getElementById('toc');
+    const content = document.querySelector('.post-content');
+    if (!toc || !content) return;
+
+    const container = toc.closest('.toc-container');
+    const headings = Array.from(content.querySelectorAll('h2, h3, h4'));
+    if (headings.length === 0) {
+      container.hidden = true;
+      return;
+    }
+
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+    headings.forEach(heading => {
+      if (!heading.id) {
+        heading.id = this.uniqueSlug(this.slugify(heading.textContent), usedIds);
+      }
+    });
+
+    toc.innerHTML = this.renderTocList(headings);
+    container.closest('.post').classList.add('has-toc');
+
+    this.tocToggle = container.querySelector('.toc-toggle');
+    this.tocToggle.addEventListener('click', () => this.toggleToc());
+    this.setTocOpen(this.getTocOpenPreference(), { persist: false });
+
+    this.initTocScrollspy(toc, headings);
+  }
+
+  // GitHub's algorithm: lowercase, drop punctuation, spaces become hyphens
+  slugify(text) {
+    return text.trim().toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+      .replace(/ /g, '-') || 'section';
+  }
+
+  // Repeated headings get -1, -2... like GitHub
+  uniqueSlug(slug, usedIds) {
+    let unique = slug;
+    for (let n = 1; usedIds.has(unique); n++) {
+      unique = `${slug}-${n}`;
+    }
+    usedIds.add(unique);
+    return unique;
+  }
+
+  // Nested lists for h2-h4. A level skipped in the post (h2 then h4) isn't padded with
+  // an empty list item; the deeper heading nests directly under the shallower one.
+  renderTocList(headings) {
+    const root = { level: 1, children: [] };
+    const stack = [root];
+
+    headings.forEach(heading => {
+      const node = { level: Number(heading.tagName[1]), heading, children: [] };
+      while (stack[stack.length - 1].level >= node.level) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+
+    const render = (nodes, nested = false) => `<ul${nested ? ' class="toc-sublist"' : ''}>${nodes.map(node => `
+      <li class="toc-h${node.level}">
+        <a href="#${encodeURIComponent(node.heading.id)}" data-toc-target="${this.escapeHTML(node.heading.id)}">${this.escapeHTML(node.heading.textContent.trim())}</a>
+        ${node.children.length ? render(node.children, true) : ''}
+      </li>`).join('')}</ul>`;
+
+    return render(root.children);
+  }
+
+  // Saved choice, otherwise open where the TOC has room beside the post
+  getTocOpenPreference() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem('toc-open');
+    } catch (error) {
+      // Storage unavailable
+    }
+    return saved === null ? window.matchMedia('(min-width: 1280px)').matches : saved === 'true';
+  }
+
+  setTocOpen(open, { persist = true } = {}) {
+    const toc = document.getElementById('toc');
+    toc.hidden = !open;
+    this.tocToggle.setAttribute('aria-expanded', String(open));
+
+    if (persist) {
+      try {
+        localStorage.setItem('toc-open', String(open));
+      } catch (error) {
+        // The state still applies to this page view
+      }
+    }
+  }
+
+  toggleToc() {
+    const toc = document.getElementById('toc');
+    if (toc && this.tocToggle) {
+      this.setTocOpen(toc.hidden);
+    }
+  }
+
+  // Highlights the link of the last heading scrolled past the sticky header
+  initTocScrollspy(toc, headings) {
+    const links = new Map(Array.from(toc.querySelectorAll('[data-toc-target]'), link => [link.dataset.tocTarget, link]));
+    let current = null;
+    let scheduled = false;
+
+    const update = () => {
+      scheduled = false;
+      const passed = headings.filter(heading =>
+        heading.getBoundingClientRect().top <= READING_POSITIONS.headerOffset + 1);
+      const link = passed.length ? links.get(passed[passed.length - 1].id) : null;
+      if (link === current) return;
+
+      if (current) {
+        current.classList.remove('active');
+        current.removeAttribute('aria-current');
+      }
+      current = link;
+      if (current) {
+        current.classList.add('active');
+        current.setAttribute('aria-current', 'location');
+        this.keepTocLinkInView(current);
+      }
+    };
+
+    window.addEventListener('scroll', () => {
+      if (!scheduled) {
+        scheduled = true;
+        requestAnimationFrame(update);
+      }
+    }, { passive: true });
+    update();
+  }
+
+  // In the sticky sidebar the TOC scrolls on its own; scroll it, never the page
+  keepTocLinkInView(link) {
+    const container = link.closest('.toc-container');
+    if (container.scrollHeight <= container.clientHeight) return;
+
+    const box = container.getBoundingClientRect();
+    const linkBox = link.getBoundingClientRect();
+    if (linkBox.top < box.top || linkBox.bottom > box.bottom) {
+      container.scrollTop += linkBox.top - box.top - box.height / 2;
+    }
+  }
+
+  /**
+   * Heading Permalinks
+   * Every heading in a post gets an anchor link, shown on hover and focus; clicking it
+   * jumps to the section and copies its URL.
+   */
+  initHeadingPermalinks() {
+    const content = document.querySelector('.post-content');
+    if (!content) return;
+
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+
+    content.querySelectorAll('h2, h3, h4, h5, h6').forEach(heading => {
+      if (!heading.id) {
+        heading.id = this.uniqueSlug(this.slugify(heading.textContent), usedIds);
+      }
+
+      // The "#" is drawn by CSS so it doesn't become part of the heading's text
+      const anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.href = `#${encodeURIComponent(heading.id)}`;
+      anchor.setAttribute('aria-label', `Copy link to section: ${heading.textContent.trim()}`);
+      anchor.addEventListener('click', () => this.copySectionLink(anchor));
+      heading.appendChild(anchor);
+    });
+  }
+
+  async copySectionLink(anchor) {
+    const url = `${window.location.origin}${window.location.pathname}${anchor.getAttribute('href')}`;
+    const copied = await this.copyToClipboard(url);
+
+    this.announceCopyStatus(copied ? 'Link to section copied' : 'Could not copy the link');
+    anchor.classList.add(copied ? 'copied' : 'copy-failed');
+    setTimeout(() => anchor.classList.remove('copied', 'copy-failed'), 2000);
+  }
+
+  /**
+   * Sharing Selected Passages
+   * Selecting text in a post shows a popover to copy a link that scrolls to and highlights
+   * the passage (a #:~:text= text fragment), or to share the quote with that link.
+   */
+  initSelectionSharing() {
+    const content = document.querySelector('.post-content');
+    if (!content) return;
+
+    const popover = document.createElement('div');
+    popover.className = 'selection-popover';
+    popover.hidden = true;
+    popover.innerHTML = `
+      <button type="button" data-selection-action="link">Copy link to quote</button>
+      <button type="button" data-selection-action="share">${navigator.share ? 'Share quote' : 'Copy quote'}</button>
+    `;
+    document.body.appendChild(popover);
+    this.selectionPopover = popover;
+
+    // Keep the selection while a popover button is pressed
+    popover.addEventListener('mousedown', (e) => e.preventDefault());
+    popover.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-selection-action]');
+      if (button) {
+        this.shareSelection(button.dataset.selectionAction);
+      }
+    });
+
+    // selectionchange also covers keyboard and touch selection; wait until it settles
+    let timer = null;
+    document.addEventListener('selectionchange', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.updateSelectionPopover(content), 250);
+    });
+  }
+
+  updateSelectionPopover(content) {
+    const selection = window.getSelection();
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+
+    if (selection.isCollapsed || text.length < 3 || !content.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+      this.closeSelectionPopover();
+      return;
+    }
+
+    this.selectedQuote = text;
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    const popover = this.selectionPopover;
+    popover.hidden = false;
+
+    // Centered above the selection, kept inside the viewport
+    const left = Math.min(
+      Math.max(rect.left + rect.width / 2 - popover.offsetWidth / 2, 8),
+      document.documentElement.clientWidth - popover.offsetWidth - 8
+    );
+    const top = rect.top - popover.offsetHeight - 8 < READING_POSITIONS.headerOffset
+      ? rect.bottom + 8
+      : rect.top - popover.offsetHeight - 8;
+
+    popover.style.left = `${left + window.scrollX}px`;
+    popover.style.top = `${top + window.scrollY}px`;
+  }
+
+  closeSelectionPopover() {
+    if (this.selectionPopover) {
+      this.selectionPopover.hidden = true;
+    }
+  }
+
+  async shareSelection(action) {
+    const quote = this.selectedQuote;
+    const url = this.textFragmentURL(quote);
+    const title = document.querySelector('.post-title');
+    const articleTitle = title ? title.textContent.trim() : document.title;
+
+    if (action === 'share' && navigator.share) {
+      try {
+        await navigator.share({ title: articleTitle, text: `“${quote}”`, url });
+      } catch (error) {
+        // Share sheet dismissed
+      }
+      return;
+    }
+
+    const copied = await this.copyToClipboard(action === 'link' ? url : `“${quote}” — ${articleTitle} ${url}`);
+    this.announceCopyStatus(copied
+      ? (action === 'link' ? 'Link to quote copied' : 'Quote copied')
+      : 'Could not copy to the clipboard');
+    this.closeSelectionPopover();
+  }
+
+  // Long passages are matched by their first and last words (text=start,end), which keeps
+  // the URL short and still matches if the middle is edited
+  textFragmentURL(text) {
+    const encode = part => encodeURIComponent(part).replace(/-/g, '%2D');
+    const words = text.split(' ');
+    const directive = words.length > 10
+      ? `${encode(words.slice(0, 5).join(' '))},${encode(words.slice(-5).join(' '))}`
+      : encode(text);
+
+    return `${window.location.origin}${window.location.pathname}#:~:text=${directive}`;
+  }
+
+  announceCopyStatus(message) {
+    let status = document.getElementById('copy-status');
+    if (!status) {
+      status = document.createElement('div');
+      status.id = 'copy-status';
+      status.className = 'sr-only';
+      status.setAttribute('role', 'status');
+      document.body.appendChild(status);
+    }
+    status.textContent = message;
+  }
+
+  /**
+   * Reading Progress Indicator
+   */
+  initReadingProgress() {
+    if (document.querySelector('article.post')) {
+      const progressBar = document.createElement('div');
+      progressBar.className = 'reading-progress';
+      progressBar.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 0%;
+        height: 3px;
+        background: linear-gradient(90deg, var(--primary-color), var(--accent-color));
+        z-index: 1001;
+        transition: width 0.1s ease;
+      `;
+      
+      document.body.appendChild(progressBar);
+
+      window.addEventListener('scroll', () => {
+        const winScroll = document.body.scrollTop || document.documentElement.scrollTop;
+        const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+        const scrolled = (winScroll / height) * 100;
+        progressBar.style.width = scrolled + '%';
+      });
+    }
+  }
+
+  /**
+   * Reading Positions
+   * Where the reader stopped in each article is kept in localStorage, anchored to the
+   * heading above the top of the viewport plus how far through that section they were,
+   * so the position still holds after a font size change or images loading above it.
+   * The home page lists unfinished articles and marks the post cards read or in progress.
+   */
+  initReadingPositions() {
+    this.readingPositions = this.loadReadingPositions();
+    this.renderContinueReading();
+    this.markPostCards();
+
+    const content = document.querySelector('article.post .post-content');
+    if (!content) return;
+
+    const saved = this.readingPositions[window.location.pathname];
+    if (saved && !saved.finished && !window.location.hash) {
+      this.showResumePrompt(saved);
+    }
+
+    let saveTimer = null;
+    window.addEventListener('scroll', () => {
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(() => this.saveReadingPosition(), 500);
+    }, { passive: true });
+
+    // The last chance to save before a tab is discarded or closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveReadingPosition();
+      }
+    });
+    window.addEventListener('pagehide', () => this.saveReadingPosition());
+  }
+
+  loadReadingPositions() {
+    try {
+      return JSON.parse(localStorage.getItem('reading-positions')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveReadingPosition() {
+    const content = document.querySelector('article.post .post-content');
+    const path = window.location.pathname;
+    const saved = this.readingPositions[path];
+    const position = this.currentReadingPosition(content);
+
+    // Until the reader answers the resume prompt, only reading past the saved spot counts
+    if (this.resumePrompt && saved && position.percent <= saved.percent) return;
+    if (!saved && position.percent < READING_POSITIONS.minPercent) return;
+
+    this.closeResumePrompt();
+
+    const title = document.querySelector('.post-title');
+    this.readingPositions[path] = {
+      ...position,
+      title: title ? title.textContent.trim() : document.title,
+      finished: Boolean(saved && saved.finished) || position.percent >= READING_POSITIONS.finishedPercent,
+      updatedAt: Date.now()
+    };
+
+    // Forget the articles read longest ago
+    const paths = Object.keys(this.readingPositions)
+      .sort((a, b) => this.readingPositions[b].updatedAt - this.readingPositions[a].updatedAt);
+    paths.slice(READING_POSITIONS.maxEntries).forEach(oldPath => delete this.readingPositions[oldPath]);
+
+    try {
+      localStorage.setItem('reading-positions', JSON.stringify(this.readingPositions));
+    } catch (error) {
+      // Storage full or unavailable: the position is only lost for this article
+    }
+  }
+
+  readingPositionHeadings(content) {
+    return Array.from(content.querySelectorAll('h2[id], h3[id]'));
+  }
+
+  // Start and end of each section in page coordinates; the text before the first heading
+  // is a section without an anchor
+  readingPositionSections(content) {
+    const pageTop = element => element.getBoundingClientRect().top + window.scrollY;
+    const contentTop = pageTop(content);
+    const contentBottom = contentTop + content.offsetHeight;
+    const headings = this.readingPositionHeadings(content);
+
+    const starts = [contentTop, ...headings.map(pageTop)];
+    return [null, ...headings].map((heading, index) => ({
+      heading,
+      start: starts[index],
+      end: index + 1 < starts.length ? starts[index + 1] : contentBottom
+    }));
+  }
+
+  currentReadingPosition(content) {
+    const top = window.scrollY + READING_POSITIONS.headerOffset;
+    const sections = this.readingPositionSections(content);
+    const section = sections.filter(candidate => candidate.start <= top).pop() || sections[0];
+    const contentBottom = sections[sections.length - 1].end;
+
+    const progress = (top - section.start) / Math.max(section.end - section.start, 1);
+    // How much of the scrolling needed to bring the end of the article into view is done
+    const read = window.scrollY / Math.max(contentBottom - window.innerHeight, 1);
+
+    return {
+      anchor: section.heading ? section.heading.id : null,
+      heading: section.heading ? section.heading.textContent.trim() : null,
+      progress: Math.min(Math.max(progress, 0), 1),
+      percent: Math.round(Math.min(Math.max(read, 0), 1) * 100)
+    };
+  }
+
+  scrollToReadingPosition(position) {
+    const content = document.querySelector('article.post .post-content');
+    const sections = this.readingPositionSections(content);
+    let top;
+
+    const section = sections.find(candidate =>
+      (candidate.heading ? candidate.heading.id : null) === position.anchor);
+
+    if (section) {
+      top = section.start + position.progress * (section.end - section.start);
+    } else {
+      // The heading was renamed or removed: fall back to the overall percentage
+      const contentBottom = sections[sections.length - 1].end;
+      top = (position.percent / 100) * (contentBottom - window.innerHeight) + READING_POSITIONS.headerOffset;
+    }
+
+    window.scrollTo({ top: Math.max(top - READING_POSITIONS.headerOffset, 0), behavior: 'smooth' });
+  }
+
+  showResumePrompt(position) {
+    const label = position.heading ? `Resume at “${position.heading}”` : 'Resume where you left off';
+
+    const prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+      <p class="resume-prompt-title">You've read ${position.percent}% of this article.</p>
+      <div class="resume-prompt-actions">
+        <button type="button" class="resume-prompt-accept">${this.escapeHTML(label)}</button>
+        <button type="button" class="resume-prompt-dismiss">Start from the top</button>
+      </div>
+    `;
+
+    prompt.querySelector('.resume-prompt-accept').addEventListener('click', () => {
+      this.closeResumePrompt();
+      this.scrollToReadingPosition(position);
+    });
+    prompt.querySelector('.resume-prompt-dismiss').addEventListener('click', () => {
+      this.closeResumePrompt();
+    });
+
+    document.body.appendChild(prompt);
+    this.resumePrompt = prompt;
+  }
+
+  closeResumePrompt() {
+    if (this.resumePrompt) {
+      this.resumePrompt.remove();
+      this.resumePrompt = null;
+    }
+  }
+
+  // Unfinished articles, most recently read first
+  renderContinueReading() {
+    const shelf = document.querySelector('.continue-reading');
+    if (!shelf) return;
+
+    const articles = Object.entries(this.readingPositions)
+      .filter(([, position]) => !position.finished)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(0, 4);
+
+    shelf.hidden = articles.length === 0;
+    shelf.querySelector('.continue-reading-list').innerHTML = articles.map(([path, position]) => `
+      <li class="continue-reading-item">
+        <a class="continue-reading-title" href="${this.escapeHTML(path)}">${this.escapeHTML(position.title)}</a>
+        <span class="continue-reading-meta">${position.percent}% read${position.heading ? ` · ${this.escapeHTML(position.heading)}` : ''}</span>
+        <span class="continue-reading-progress" aria-hidden="true"><span class="continue-reading-bar" style="width: ${position.percent}%"></span></span>
+      </li>
+    `).join('');
+  }
+
+  markPostCards() {
+    document.querySelectorAll('.post-card[data-url]').forEach(card => {
+      const position = this.readingPositions[card.dataset.url];
+      if (!position) return;
+
+      const marker = document.createElement('span');
+      marker.className = 'post-card-status';
+      marker.textContent = position.finished ? 'Read' : `${position.percent}% read`;
+      card.classList.add(position.finished ? 'is-read' : 'is-in-progress');
+      card.querySelector('.post-meta').appendChild(marker);
+    });
+  }
+
+  /**
+   * Code Blocks
+   * Every pre gets a toolbar with its language, a soft-wrap toggle, download and copy.
+   * Line numbers and highlighted lines are declared in the markdown with an attribute
+   * list after the fence, using Prism's names:
+   *
+   *   {: .line-numbers data-line="2,5-7" data-filename="server.js"}
+   *
+   * Lines are wrapped in spans right away, and again whenever Prism highlights a block
+   * (see initSyntaxHighlighting), because that replaces the block's markup.
+   */
+  initCodeBlocks() {
+    document.querySelectorAll('pre').forEach((pre, index) => this.initCodeBlock(pre, index));
+  }
+
+  initCodeBlock(pre, index) {
+    // Options may sit on the pre or on the wrapper Rouge puts around it
+    const source = pre.closest('[class*="language-"], [data-line], .line-numbers') || pre;
+    const language = this.getCodeLanguage(pre);
+
+    const block = document.createElement('div');
+    block.className = 'code-block';
+    block.dataset.language = language.name;
+    block.dataset.filename = source.dataset.filename ||
+      `${window.location.pathname.split('/').filter(Boolean).pop() || 'code'}-${index + 1}.${language.extension}`;
+    block.dataset.highlightLines = source.dataset.line || pre.dataset.line || '';
+    block.classList.toggle('has-line-numbers',
+      source.classList.contains('line-numbers') || pre.classList.contains('line-numbers') || 'lineNumbers' in source.dataset);
+
+    block.innerHTML = `
+      <div class="code-toolbar" role="toolbar" aria-label="${this.escapeHTML(language.label)} code">
+        <span class="code-language">${this.escapeHTML(language.label)}</span>
+        <button type="button" data-code-action="wrap" aria-pressed="false">Wrap</button>
+        <button type="button" data-code-action="download" tabindex="-1">Download</button>
+        <button type="button" data-code-action="copy" tabindex="-1">Copy</button>
+      </div>
+    `;
+
+    pre.before(block);
+    block.appendChild(pre);
+    this.renderCodeLines(block);
+
+    const toolbar = block.querySelector('.code-toolbar');
+    toolbar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-code-action]');
+      if (button) {
+        this.handleCodeAction(block, button);
+      }
+    });
+    toolbar.addEventListener('keydown', (e) => this.handleToolbarKeydown(e, toolbar));
+
+    if (language.name === 'javascript' && (source.classList.contains('runnable') || 'runnable' in source.dataset)) {
+      this.initPlayground(block, Number(source.dataset.timeout) || 5);
+    }
+  }
+
+  getCodeLanguage(pre) {
+    const element = [pre.querySelector('code'), pre, pre.closest('[class*="language-"]')]
+      .find(candidate => candidate && /\blanguage-/.test(candidate.className));
+    const name = element ? element.className.match(/\blanguage-([\w-]+)/)[1].toLowerCase() : 'plaintext';
+
+    const [key, language] = Object.entries(CODE_LANGUAGES)
+      .find(([candidate, { aliases = [] }]) => candidate === name || aliases.includes(name)) || [];
+
+    return language
+      ? { name: key, ...language }
+      : { name, label: name.toUpperCase(), extension: 'txt' };
+  }
+
+  // Wraps each line in a span so it can be numbered and highlighted; highlighting spans
+  // that run across lines are closed and reopened at the line ends
+  renderCodeLines(block) {
+    const code = block.querySelector('pre code') || block.querySelector('pre');
+    if (code.querySelector(':scope > .code-line')) return;
+
+    const highlighted = this.parseLineRanges(block.dataset.highlightLines);
+    const lines = [];
+    const open = [];
+
+    code.innerHTML.replace(/\n$/, '').split('\n').forEach(line => {
+      const prefix = open.join('');
+      (line.match(/<span[^>]*>|<\/span>/g) || []).forEach(tag => {
+        if (tag === '</span>') {
+          open.pop();
+        } else {
+          open.push(tag);
+        }
+      });
+      lines.push(prefix + line + '</span>'.repeat(open.length));
+    });
+
+    code.innerHTML = lines.map((line, index) =>
+      `<span class="code-line${highlighted.has(index + 1) ? ' is-highlighted' : ''}" data-line-number="${index + 1}">${line}\n</span>`
+    ).join('');
+  }
+
+  // "2,5-7" -> Set { 2, 5, 6, 7 }
+  parseLineRanges(ranges) {
+    const lines = new Set();
+    (ranges || '').split(',').forEach(range => {
+      const [start, end = start] = range.trim().split('-').map(Number);
+      if (!(start > 0)) return;
+      for (let line = start; line <= end && line - start < 1000; line++) {
+        lines.add(line);
+      }
+    });
+    return lines;
+  }
+
+  async handleCodeAction(block, button) {
+    const pre = block.querySelector('pre');
+    const language = this.getCodeLanguage(pre);
+    const text = this.getPlaygroundCode(block) || (pre.querySelector('code') || pre).textContent;
+
+    if (button.dataset.codeAction === 'run') {
+      this.runPlayground(block);
+    } else if (button.dataset.codeAction === 'edit') {
+      this.setPlaygroundEditing(block, button.getAttribute('aria-pressed') !== 'true');
+    } else if (button.dataset.codeAction === 'reset') {
+      block.querySelector('.code-editor').value = block.playground.original;
+      this.announceCopyStatus('Code reset');
+    } else if (button.dataset.codeAction === 'wrap') {
+      const wrapped = pre.classList.toggle('is-wrapped');
+      button.setAttribute('aria-pressed', String(wrapped));
+    } else if (button.dataset.codeAction === 'download') {
+      const file = new Blob([language.shell ? this.stripShellPrompts(text) : text], { type: 'text/plain' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(file);
+      link.download = block.dataset.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } else if (button.dataset.codeAction === 'copy') {
+      const copied = await this.copyToClipboard(language.shell ? this.stripShellPrompts(text) : text);
+      button.textContent = copied ? 'Copied!' : 'Copy failed';
+      this.announceCopyStatus(copied ? 'Copied' : 'Could not copy the code');
+      setTimeout(() => {
+        button.textContent = 'Copy';
+      }, 2000);
+    }
+  }
+
+  // Shell sessions keep only the commands: the text after "$ " or "> " prompts plus
+  // their backslash continuation lines. Without any prompt, everything is a command.
+  stripShellPrompts(text) {
+    const lines = text.replace(/\n$/, '').split('\n');
+    const prompt = /^\s*[$>](?: (.*))?$/;
+    if (!lines.some(line => prompt.test(line))) return text;
+
+    const commands = [];
+    let continued = false;
+    lines.forEach(line => {
+      const match = line.match(prompt);
+      if (match || continued) {
+        const command = match ? match[1] || '' : line;
+        commands.push(command);
+        continued = command.endsWith('\\');
+      }
+    });
+    return `${commands.join('\n')}\n`;
+  }
+
+  /**
+   * JavaScript Playground
+   * Blocks marked {: .runnable} get Run and Edit buttons. Each run gets a fresh iframe
+   * sandboxed without allow-same-origin, so the code has an opaque origin and can't reach
+   * this page, its cookies or its storage. Inside it, the code runs in a worker that the
+   * iframe terminates after the block's timeout (data-timeout, in seconds), so an
+   * infinite loop never blocks the page. Console output and errors are posted back and
+   * shown below the block.
+   */
+  initPlayground(block, timeout) {
+    block.classList.add('is-runnable');
+    block.playground = {
+      original: block.querySelector('pre').textContent.replace(/\n$/, ''),
+      timeout,
+      frame: null
+    };
+
+    const copyButton = block.querySelector('[data-code-action="copy"]');
+    copyButton.insertAdjacentHTML('beforebegin', `
+      <button type="button" data-code-action="edit" aria-pressed="false" tabindex="-1">Edit</button>
+      <button type="button" data-code-action="reset" tabindex="-1" hidden>Reset</button>
+      <button type="button" data-code-action="run" tabindex="-1">Run ▶</button>
+    `);
+
+    block.insertAdjacentHTML('beforeend', `
+      <div class="code-output" hidden>
+        <div class="code-output-lines" role="log" aria-label="Output"></div>
+        <p class="code-output-status" role="status"></p>
+      </div>
+    `);
+
+    if (!this.playgroundListener) {
+      this.playgroundListener = (e) => this.handlePlaygroundMessage(e);
+      window.addEventListener('message', this.playgroundListener);
+    }
+  }
+
+  setPlaygroundEditing(block, editing) {
+    const pre = block.querySelector('pre');
+    let editor = block.querySelector('.code-editor');
+
+    if (editing && !editor) {
+      editor = document.createElement('textarea');
+      editor.className = 'code-editor';
+      editor.spellcheck = false;
+      editor.setAttribute('aria-label', 'Edit code');
+      editor.value = block.playground.original;
+      editor.rows = Math.min(editor.value.split('\n').length + 1, 30);
+      pre.after(editor);
+    }
+
+    pre.hidden = editing;
+    if (editor) {
+      editor.hidden = !editing;
+      if (editing) editor.focus();
+    }
+    block.querySelector('[data-code-action="edit"]').setAttribute('aria-pressed', String(editing));
+    block.querySelector('[data-code-action="reset"]').hidden = !editing;
+  }
+
+  // The edited code while the editor is open, otherwise null
+  getPlaygroundCode(block) {
+    const editor = block.querySelector('.code-editor');
+    return editor && !editor.hidden ? editor.value : null;
+  }
+
+  runPlayground(block) {
+    const { playground } = block;
+    const output = block.querySelector('.code-output');
+    const runButton = block.querySelector('[data-code-action="run"]');
+
+    this.stopPlayground(block);
+    output.hidden = false;
+    output.querySelector('.code-output-lines').innerHTML = '';
+    this.setPlaygroundStatus(block, 'Running...');
+    runButton.disabled = true;
+
+    const frame = document.createElement('iframe');
+    frame.className = 'playground-frame';
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.srcdoc = this.playgroundDocument();
+    playground.frame = frame;
+    playground.startedAt = performance.now();
+
+    frame.addEventListener('load', () => {
+      frame.contentWindow.postMessage({
+        code: this.getPlaygroundCode(block) || playground.original,
+        timeout: playground.timeout * 1000
+      }, '*');
+    }, { once: true });
+
+    // In case the sandbox itself fails (e.g. workers unavailable), stop waiting eventually
+    playground.watchdog = setTimeout(() => {
+      this.finishPlayground(block, `Stopped: no result after ${playground.timeout} s.`, 'error');
+    }, playground.timeout * 1000 + 2000);
+
+    document.body.appendChild(frame);
+  }
+
+  handlePlaygroundMessage(e) {
+    const block = Array.from(document.querySelectorAll('.code-block.is-runnable'))
+      .find(candidate => candidate.playground.frame && candidate.playground.frame.contentWindow === e.source);
+    if (!block || !e.data || typeof e.data.type !== 'string') return;
+
+    const { type, level, text } = e.data;
+
+    if (type === 'log') {
+      this.appendPlaygroundOutput(block, level, text);
+    } else if (type === 'error') {
+      this.appendPlaygroundOutput(block, 'error', text);
+    } else if (type === 'done') {
+      const elapsed = Math.round(performance.now() - block.playground.startedAt);
+      this.finishPlayground(block, `Finished in ${elapsed} ms.`, 'done', { keepFrame: true });
+    } else if (type === 'timeout') {
+      this.finishPlayground(block, `Stopped after ${block.playground.timeout} s: the code took too long (an infinite loop?).`, 'error');
     }
   }
 
-  /**
-   * Reading Progress Indicator
-   */
-  initReadingProgress() {
-    if (document.body.classList.contains('post')) {
-      const progressBar = document.createElement('div');
-      progressBar.className = 'reading-progress';
-      progressBar.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 0%;
-        height: 3px;
-        background: linear-gradient(90deg, var(--primary-color), var(--accent-color));
-        z-index: 1001;
-        transition: width 0.1s ease;
-      `;
-      
-      document.body.appendChild(progressBar);
+  appendPlaygroundOutput(block, level, text) {
+    const line = document.createElement('div');
+    line.className = `code-output-line is-${['error', 'warn', 'info'].includes(level) ? level : 'log'}`;
+    line.textContent = String(text);
+    block.querySelector('.code-output-lines').appendChild(line);
+  }
 
-      window.addEventListener('scroll', () => {
-        const winScroll = document.body.scrollTop || document.documentElement.scrollTop;
-        const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
-        const scrolled = (winScroll / height) * 100;
-        progressBar.style.width = scrolled + '%';
-      });
+  // keepFrame lets timers the code started keep logging until the sandbox times out
+  finishPlayground(block, message, state, { keepFrame = false } = {}) {
+    clearTimeout(block.playground.watchdog);
+    if (keepFrame) {
+      block.playground.watchdog = setTimeout(() => this.stopPlayground(block), block.playground.timeout * 1000);
+    } else {
+      this.stopPlayground(block);
     }
+    this.setPlaygroundStatus(block, message, state);
+    block.querySelector('[data-code-action="run"]').disabled = false;
   }
 
-  /**
-   * Code Copy Buttons
-   */
-  initCodeCopyButtons() {
-    document.querySelectorAll('pre').forEach(pre => {
-      const button = document.createElement('button');
-      button.className = 'copy-code';
-      button.textContent = 'Copy';
-      button.style.cssText = `
-        position: absolute;
-        top: 0.5rem;
-        right: 0.5rem;
-        background: var(--bg-secondary);
-        color: var(--text-primary);
-        border: 1px solid var(--border-color);
-        padding: 0.25rem 0.5rem;
-        border-radius: 0.25rem;
-        font-size: 0.75rem;
-        cursor: pointer;
-        opacity: 0;
-        transition: opacity 0.2s ease;
-      `;
-      
-      pre.style.position = 'relative';
-      pre.appendChild(button);
-
-      // Show button on hover
-      pre.addEventListener('mouseenter', () => {
-        button.style.opacity = '1';
-      });
+  stopPlayground(block) {
+    clearTimeout(block.playground.watchdog);
+    if (block.playground.frame) {
+      block.playground.frame.remove();
+      block.playground.frame = null;
+    }
+  }
 
-      pre.addEventListener('mouseleave', () => {
-        button.style.opacity = '0';
-      });
+  setPlaygroundStatus(block, message, state = 'running') {
+    const status = block.querySelector('.code-output-status');
+    status.textContent = message;
+    status.dataset.state = state;
+  }
 
-      // Copy functionality
-      button.addEventListener('click', async () => {
-        const code = pre.querySelector('code') || pre;
-        const text = code.textContent;
-        
+  // The sandbox page: runs each snippet in a worker and relays its messages to the parent
+  playgroundDocument() {
+    const workerSource = `
+      const format = value => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.stack || String(value);
+        if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+        if (typeof value === 'undefined' || typeof value === 'symbol' || typeof value === 'bigint') return String(value);
         try {
-          await navigator.clipboard.writeText(text);
-          button.textContent = 'Copied!';
-          setTimeout(() => {
-            button.textContent = 'Copy';
-          }, 2000);
-        } catch (err) {
-          // Fallback for older browsers
-          this.fallbackCopyTextToClipboard(text, button);
+          return JSON.stringify(value, null, 2);
+        } catch (error) {
+          return String(value);
         }
+      };
+      ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        console[level] = (...args) => postMessage({ type: 'log', level, text: args.map(format).join(' ') });
+      });
+      addEventListener('unhandledrejection', event => {
+        postMessage({ type: 'error', text: 'Uncaught (in promise) ' + format(event.reason) });
       });
+      onmessage = async event => {
+        try {
+          await (0, eval)('(async () => {\\n' + event.data + '\\n})()');
+        } catch (error) {
+          postMessage({ type: 'error', text: format(error) });
+        }
+        postMessage({ type: 'done' });
+      };
+    `;
+
+    return `<!DOCTYPE html><script>
+      const workerSource = ${JSON.stringify(workerSource)};
+      addEventListener('message', event => {
+        const worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' })));
+        let done = false;
+        worker.onmessage = message => {
+          if (message.data.type === 'done') done = true;
+          parent.postMessage(message.data, '*');
+        };
+        worker.onerror = error => {
+          error.preventDefault();
+          parent.postMessage({ type: 'error', text: error.message }, '*');
+        };
+        setTimeout(() => {
+          worker.terminate();
+          if (!done) parent.postMessage({ type: 'timeout' }, '*');
+        }, event.data.timeout);
+        worker.postMessage(event.data.code);
+      }, { once: true });
+    </script>`;
+  }
+
+  // Arrow keys, Home and End move between toolbar buttons; Tab leaves the toolbar
+  handleToolbarKeydown(e, toolbar) {
+    const buttons = Array.from(toolbar.querySelectorAll('button'));
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    const next = {
+      ArrowRight: (index + 1) % buttons.length,
+      ArrowLeft: (index - 1 + buttons.length) % buttons.length,
+      Home: 0,
+      End: buttons.length - 1
+    }[e.key];
+    if (next === undefined) return;
+
+    e.preventDefault();
+    buttons.forEach((button, position) => {
+      button.tabIndex = position === next ? 0 : -1;
     });
+    buttons[next].focus();
+  }
+
+  // Resolves to whether the text made it to the clipboard
+  async copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      // Fallback for older browsers
+      return this.fallbackCopyTextToClipboard(text);
+    }
   }
 
-  fallbackCopyTextToClipboard(text, button) {
+  fallbackCopyTextToClipboard(text) {
     const textArea = document.createElement('textarea');
     textArea.value = text;
     document.body.appendChild(textArea);
     textArea.focus();
     textArea.select();
     
+    let copied = false;
     try {
-      document.execCommand('copy');
-      button.textContent = 'Copied!';
-      setTimeout(() => {
-        button.textContent = 'Copy';
-      }, 2000);
+      copied = document.execCommand('copy');
     } catch (err) {
       console.error('Fallback: Could not copy text');
     }
     
     document.body.removeChild(textArea);
+    return copied;
   }
 
   /**
-   * Interactive Elements
+   * Syntax Highlighting
+   * Prism (the build's copy of the prismjs package) is loaded when the first code block
+   * comes near the viewport, like lazy images, with only the grammars the page's blocks
+   * use. Code added to the page later (search snippets, comments) is picked up the same
+   * way. The token theme follows the site theme.
    */
-  initInteractiveElements() {
-    // Newsletter form
-    const newsletterForm = document.querySelector('.newsletter-form');
-    if (newsletterForm) {
-      newsletterForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this.handleNewsletterSignup(e.target);
+  initSyntaxHighlighting() {
+    const element = document.getElementById('prism-config');
+    let config = null;
+    try {
+      config = JSON.parse(element ? element.textContent : 'null');
+    } catch (error) {
+      console.warn('Invalid syntax highlighting configuration:', error);
+    }
+    if (!config || !config.url) return;
+
+    this.prismConfig = config;
+    this.highlightedCode = new WeakSet();
+    this.highlighter = new Highlighter({
+      baseURL: config.url,
+      onHighlight: (element) => {
+        const block = element.closest('.code-block');
+        if (block) this.renderCodeLines(block);
+      }
+    });
+
+    this.highlighter.setTheme(this.prismThemeFor(this.resolveTheme(this.getThemePreference())));
+    document.addEventListener('themechange', (e) => {
+      this.highlighter.setTheme(this.prismThemeFor(e.detail.theme));
+    });
+
+    if ('IntersectionObserver' in window) {
+      this.codeObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.codeObserver.unobserve(entry.target);
+            this.highlighter.highlight(entry.target);
+          }
+        });
+      }, {
+        rootMargin: '50px'
       });
     }
 
-    // Contact forms
-    document.querySelectorAll('form[name="contact"]').forEach(form => {
+    this.observeCode(document.body);
+
+    new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) this.observeCode(node);
+        });
+      });
+    }).observe(document.body, { childList: true, subtree: true });
+  }
+
+  // Queues every code element under root that names a language, each only once
+  observeCode(root) {
+    const selector = 'code[class*="language-"], [class*="language-"] pre > code';
+    const elements = root.matches(selector) ? [root] : Array.from(root.querySelectorAll(selector));
+
+    elements.forEach(code => {
+      if (this.highlightedCode.has(code) || !Highlighter.isHighlightable(code)) return;
+      this.highlightedCode.add(code);
+
+      if (this.codeObserver) {
+        this.codeObserver.observe(code);
+      } else {
+        this.highlighter.highlight(code);
+      }
+    });
+  }
+
+  // Token theme for a site theme: its own prism_theme, else the one for its color scheme
+  prismThemeFor(theme) {
+    return theme.prismTheme ||
+      (theme.colorScheme === 'dark' ? this.prismConfig.dark_theme : this.prismConfig.light_theme);
+  }
+
+  /**
+   * Interactive Elements
+   */
+  initInteractiveElements() {
+    // Newsletter forms and the double opt-in confirmation page
+    this.initNewsletter();
+
+    // Contact forms and any other form marked with data-validate
+    this.formValidators = new WeakMap();
+    document.querySelectorAll('form[name="contact"], form[data-validate]').forEach(form => {
+      form.dataset.outboxKind = form.getAttribute('name') || 'form';
+      this.formValidators.set(form, new FormValidator(form));
       form.addEventListener('submit', (e) => {
         this.handleFormSubmission(e);
       });
     });
 
+    // Submissions queued while offline
+    this.initOutbox();
+
     // External link handling
     document.querySelectorAll('a[href^="http"]').forEach(link => {
       if (!link.hostname.includes(window.location.hostname)) {
@@ -528,60 +2999,362 @@ class TechBlog {
     this.initKeyboardNavigation();
   }
 
-  handleNewsletterSignup(form) {
-    const email = form.querySelector('input[type="email"]').value;
-    const button = form.querySelector('button');
-    const originalText = button.textContent;
-    
-    button.textContent = 'Subscribing...';
-    button.disabled = true;
-    
-    // Simulate API call (replace with actual endpoint)
-    setTimeout(() => {
-      alert(`Thank you for subscribing with ${email}! Please check your email to confirm your subscription.`);
+  /**
+   * Newsletter
+   * Signups go through the provider adapter chosen in _config.yml (see newsletter.js) and
+   * the outbox, with the result shown inline under the form. The confirmation page at
+   * /newsletter/confirm/ completes a double opt-in with the token from the email's link.
+   */
+  initNewsletter() {
+    const config = document.getElementById('newsletter-config');
+    let settings = {};
+    try {
+      settings = JSON.parse(config ? config.textContent : 'null') || {};
+    } catch (error) {
+      console.warn('Invalid newsletter configuration:', error);
+    }
+
+    this.newsletter = new Newsletter({ ...settings, confirm_page: config && config.dataset.confirmPage });
+    this.newsletterEmails = new Set();
+
+    document.querySelectorAll('.newsletter-form').forEach(form => {
+      form.dataset.outboxKind = 'newsletter';
+      // Messages are shown inline instead of the browser's validation bubbles
+      form.noValidate = true;
+
+      // Templates may also call the global handleNewsletterSignup(event) from onsubmit
+      if (!form.hasAttribute('onsubmit')) {
+        form.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.handleNewsletterSignup(form);
+        });
+      }
+
+      const input = form.querySelector('input[type="email"]');
+      input.addEventListener('input', () => {
+        if (input.getAttribute('aria-invalid') === 'true' && !Newsletter.validateEmail(input.value.trim())) {
+          input.removeAttribute('aria-invalid');
+          this.setFormStatus(form, 'info', '');
+        }
+      });
+    });
+
+    const confirmation = document.getElementById('newsletter-confirmation');
+    if (confirmation) {
+      this.confirmNewsletterSubscription(confirmation);
+    }
+  }
+
+  async handleNewsletterSignup(form) {
+    // A second submit while the first is still on its way is ignored
+    if (form.getAttribute('aria-busy') === 'true') return;
+
+    const input = form.querySelector('input[type="email"]');
+    const email = input.value.trim();
+    const error = Newsletter.validateEmail(email);
+
+    const status = this.setFormStatus(form, error ? 'error' : 'info', error || '');
+    input.setAttribute('aria-describedby', status.id);
+    if (error) {
+      input.setAttribute('aria-invalid', 'true');
+      input.focus();
+      return;
+    }
+    input.removeAttribute('aria-invalid');
+
+    if (this.newsletterEmails.has(email.toLowerCase())) {
+      this.setFormStatus(form, 'info', 'You\'ve just subscribed with this address. Check your inbox for the confirmation email.');
+      return;
+    }
+
+    if (!this.newsletter.isConfigured()) {
+      console.error('Newsletter has no endpoint configured:', form);
+      this.setFormStatus(form, 'error', 'Subscriptions are not available right now. Please try again later.');
+      return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"], button:not([type])');
+    const originalText = submitButton.textContent;
+    form.setAttribute('aria-busy', 'true');
+    submitButton.textContent = 'Subscribing...';
+    submitButton.disabled = true;
+
+    const outcome = await this.newsletter.subscribe(email, entry => this.sendOrQueue(entry));
+
+    form.removeAttribute('aria-busy');
+    submitButton.textContent = originalText;
+    submitButton.disabled = false;
+
+    const messages = {
+      subscribed: ['sent', 'Thank you for subscribing! New articles will arrive in your inbox.'],
+      pending: ['sent', 'Almost done: check your inbox and click the link to confirm your subscription.'],
+      'already-subscribed': ['info', 'This address is already subscribed. Thanks for reading!'],
+      queued: ['queued', 'You\'re offline. Your subscription will be sent when you\'re back online.'],
+      retrying: ['queued', 'The newsletter service had a problem. Your subscription will be sent again shortly.'],
+      invalid: ['error', 'The newsletter service didn\'t accept this address. Please check it and try again.'],
+      failed: ['error', 'Something went wrong. Please try again later.']
+    };
+    const [state, message] = messages[outcome];
+    this.setFormStatus(form, state, message);
+
+    if (['subscribed', 'pending', 'already-subscribed', 'queued', 'retrying'].includes(outcome)) {
+      this.newsletterEmails.add(email.toLowerCase());
       form.reset();
-      button.textContent = originalText;
-      button.disabled = false;
-    }, 1000);
+    } else if (outcome === 'invalid') {
+      input.setAttribute('aria-invalid', 'true');
+      input.focus();
+    }
+
+    this.trackEvent('newsletter_signup', { provider: this.newsletter.config.provider, outcome });
+  }
+
+  async confirmNewsletterSubscription(container) {
+    const status = container.querySelector('.newsletter-confirmation-status');
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+
+    const show = (state, message) => {
+      container.dataset.state = state;
+      status.textContent = message;
+    };
+
+    if (!token) {
+      show('error', 'This confirmation link is incomplete. Please use the full link from the email.');
+      return;
+    }
+
+    // Keep the token out of the address bar, history and shared links
+    params.delete('token');
+    const query = params.toString();
+    window.history.replaceState(window.history.state, '',
+      `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    show('pending', 'Confirming your subscription...');
+    const outcome = await this.newsletter.confirm(token);
+
+    const messages = {
+      confirmed: ['sent', 'Your subscription is confirmed. Welcome aboard!'],
+      'already-subscribed': ['info', 'Your subscription was already confirmed. Nothing else to do.'],
+      invalid: ['error', 'This confirmation link is invalid or has expired. Please subscribe again.'],
+      failed: ['error', 'We couldn\'t confirm your subscription right now. Please try the link again later.']
+    };
+    show(...messages[outcome]);
+    this.trackEvent('newsletter_confirm', { outcome });
   }
 
+  /**
+   * Validated forms (see form-validator.js): the rules come from the fields' attributes,
+   * and likely spam is answered as if it had been sent, without sending it.
+   */
   handleFormSubmission(e) {
     e.preventDefault();
     const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
+    const validator = this.formValidators.get(form);
+    if (form.getAttribute('aria-busy') === 'true') return;
+
+    const messages = form.dataset.outboxKind === 'contact'
+      ? {
+          sent: 'Thank you for your message! We\'ll get back to you soon.',
+          queued: 'You\'re offline. Your message will be sent when you\'re back online.',
+          retrying: 'Our server had a problem. Your message will be sent again shortly.'
+        }
+      : {
+          sent: form.dataset.successMessage || 'Thank you! Your submission has been sent.',
+          queued: 'You\'re offline. Your submission will be sent when you\'re back online.',
+          retrying: 'The server had a problem. Your submission will be sent again shortly.'
+        };
+
+    const invalid = validator.validate();
+    if (invalid.length) {
+      this.setFormStatus(form, 'error', invalid.length === 1
+        ? `Please correct ${invalid[0]}.`
+        : `Please correct ${invalid.length} fields: ${invalid.join(', ')}.`);
+      return;
+    }
+
+    if (validator.isLikelySpam()) {
+      form.reset();
+      this.setFormStatus(form, 'sent', messages.sent);
+      this.trackEvent('form_submit', { form: form.dataset.outboxKind, outcome: 'spam' });
+      return;
+    }
+
+    this.submitForm(form, {
+      body: validator.data(),
+      busyText: 'Sending...',
+      messages
+    });
+  }
+
+  /**
+   * Form Submission and Offline Outbox
+   * Forms POST JSON to their action URL. When that fails because the reader is offline or
+   * the endpoint is temporarily unavailable, the submission is queued in the outbox.
+   */
+  async submitForm(form, { body, busyText, messages }) {
+    const submitButton = form.querySelector('button[type="submit"], button:not([type])');
     const originalText = submitButton.textContent;
-    
-    submitButton.textContent = 'Sending...';
+    const endpoint = form.getAttribute('action');
+
+    if (!endpoint) {
+      console.error('Form has no action endpoint configured:', form);
+      this.setFormStatus(form, 'error', 'This form is not available right now. Please try again later.');
+      return;
+    }
+
+    form.setAttribute('aria-busy', 'true');
+    submitButton.textContent = busyText;
     submitButton.disabled = true;
-    
-    // Form validation
-    const formData = new FormData(form);
-    let isValid = true;
-    
-    // Basic validation
-    const requiredFields = form.querySelectorAll('[required]');
-    requiredFields.forEach(field => {
-      if (!field.value.trim()) {
-        field.classList.add('error');
-        isValid = false;
-      } else {
-        field.classList.remove('error');
-      }
+
+    const { outcome, response } = await this.sendOrQueue({
+      url: new URL(endpoint, window.location.href).href,
+      body,
+      kind: form.dataset.outboxKind
     });
-    
-    if (isValid) {
-      // Simulate form submission (replace with actual endpoint)
-      setTimeout(() => {
-        alert('Thank you for your message! We\'ll get back to you soon.');
-        form.reset();
-        submitButton.textContent = originalText;
-        submitButton.disabled = false;
-      }, 1000);
+
+    form.removeAttribute('aria-busy');
+    submitButton.textContent = originalText;
+    submitButton.disabled = false;
+
+    // A rejected submission may say which fields were wrong
+    const validator = this.formValidators && this.formValidators.get(form);
+    if (outcome === 'failed' && response && validator && [400, 422].includes(response.status)) {
+      const unmatched = await validator.showServerErrors(response);
+      const hasFieldErrors = form.querySelector('[aria-invalid="true"]');
+      this.setFormStatus(form, 'error', unmatched.join(' ') ||
+        (hasFieldErrors ? 'Please correct the highlighted fields.' : 'Something went wrong. Please try again later.'));
+    } else if (outcome === 'failed') {
+      this.setFormStatus(form, 'error', 'Something went wrong. Please try again later.');
     } else {
-      submitButton.textContent = originalText;
-      submitButton.disabled = false;
-      alert('Please fill in all required fields.');
+      form.reset();
+      this.setFormStatus(form, outcome === 'retrying' ? 'queued' : outcome, messages[outcome]);
+    }
+
+    this.trackEvent('form_submit', { form: form.dataset.outboxKind, outcome });
+  }
+
+  /**
+   * Resolves to { outcome, response } where outcome is 'sent', 'queued' (offline),
+   * 'retrying' (queued after the server failed, e.g. a 503) or 'failed'; response is the
+   * endpoint's reply when there was one, so callers can read why it failed.
+   */
+  async sendOrQueue(entry) {
+    let response = null;
+    if (navigator.onLine) {
+      try {
+        response = await Outbox.send(entry);
+        if (Outbox.delivered(response)) return { outcome: 'sent', response };
+        if (Outbox.isPermanentFailure(response.status)) return { outcome: 'failed', response };
+      } catch (error) {
+        // Network failure despite navigator.onLine: queue it below
+      }
+    }
+
+    if (!this.canUseOutbox()) return { outcome: 'failed', response };
+
+    try {
+      await Outbox.add(entry);
+    } catch (error) {
+      console.error('Could not queue submission:', error);
+      return { outcome: 'failed', response };
+    }
+
+    this.syncOutbox();
+    return { outcome: response ? 'retrying' : 'queued', response };
+  }
+
+  canUseOutbox() {
+    return typeof Outbox !== 'undefined' && 'indexedDB' in window;
+  }
+
+  initOutbox() {
+    if (!this.canUseOutbox()) return;
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'OUTBOX_FLUSHED') {
+          this.showOutboxResult(e.data);
+        }
+      });
+    }
+
+    window.addEventListener('online', () => this.syncOutbox());
+
+    // Entries left over from earlier visits
+    Outbox.all()
+      .then(entries => {
+        entries.forEach(entry => {
+          document.querySelectorAll(`[data-outbox-kind="${entry.kind}"]`).forEach(form => {
+            this.setFormStatus(form, 'queued', 'A previous submission is waiting to be sent.');
+          });
+        });
+        if (entries.length) this.syncOutbox();
+      })
+      .catch(error => console.error('Outbox unavailable:', error));
+  }
+
+  // Hands the outbox to Background Sync, or flushes it from the page where that's missing
+  async syncOutbox() {
+    clearTimeout(this.outboxRetryTimer);
+
+    if (await this.registerOutboxSync()) return;
+    if (!navigator.onLine) return;
+
+    const result = await Outbox.flush();
+    this.showOutboxResult(result);
+
+    // Try again when the earliest retry delay has passed
+    const entries = await Outbox.all();
+    if (entries.length) {
+      const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+      this.outboxRetryTimer = setTimeout(() => this.syncOutbox(), Math.max(nextAttemptAt - Date.now(), 1000));
+    }
+  }
+
+  async registerOutboxSync() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration || !registration.active) return false;
+
+      await registration.sync.register(Outbox.SYNC_TAG);
+      return true;
+    } catch (error) {
+      // Background Sync can be disabled by the user or the browser
+      return false;
+    }
+  }
+
+  showOutboxResult({ sent, dropped }) {
+    sent.forEach(entry => {
+      document.querySelectorAll(`[data-outbox-kind="${entry.kind}"]`).forEach(form => {
+        this.setFormStatus(form, 'sent', 'Your queued submission has been sent. Thank you!');
+      });
+    });
+
+    dropped.forEach(entry => {
+      document.querySelectorAll(`[data-outbox-kind="${entry.kind}"]`).forEach(form => {
+        this.setFormStatus(form, 'error', 'Your queued submission could not be sent. Please try again.');
+      });
+    });
+  }
+
+  // Status line shown below the form; state is 'sent', 'queued', 'info' or 'error'
+  setFormStatus(form, state, message) {
+    let status = form.nextElementSibling;
+    if (!status || !status.classList.contains('form-status')) {
+      status = document.createElement('p');
+      status.className = 'form-status';
+      // An id lets fields point at their form's messages with aria-describedby
+      status.id = `form-status-${document.querySelectorAll('.form-status').length + 1}`;
+      status.setAttribute('role', 'status');
+      form.after(status);
     }
+
+    status.dataset.state = state;
+    status.textContent = message;
+    return status;
   }
 
   /**
@@ -632,6 +3405,22 @@ class TechBlog {
         this.toggleTheme();
       }
       
+      // Alt + = / Alt + -: Adjust text size, Alt + 0: Reset reading preferences
+      if (e.altKey && (e.key === '=' || e.key === '+')) {
+        e.preventDefault();
+        this.adjustReaderFontScale(1);
+      }
+
+      if (e.altKey && e.key === '-') {
+        e.preventDefault();
+        this.adjustReaderFontScale(-1);
+      }
+
+      if (e.altKey && e.key === '0') {
+        e.preventDefault();
+        this.resetReaderPreferences();
+      }
+      
       // Alt + S: Focus search
       if (e.altKey && e.key === 's') {
         e.preventDefault();
@@ -644,10 +3433,12 @@ class TechBlog {
       // Escape: Close modals/dropdowns
       if (e.key === 'Escape') {
         // Close search results
-        const searchResults = document.getElementById('search-results');
-        if (searchResults) {
-          searchResults.style.display = 'none';
-        }
+        this.closeSearchResults();
+
+        // Close theme menu and reading preferences
+        this.closeThemeMenu();
+        this.closeReaderPanel();
+        this.closeSelectionPopover();
         
         // Close mobile menu
         const mobileNav = document.querySelector('.site-nav');
@@ -668,6 +3459,17 @@ class TechBlog {
   /**
    * Utility Functions
    */
+
+  // Escape text for safe interpolation into innerHTML
+  escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  }
   
   // Debounce function for performance
   debounce(func, wait, immediate) {
@@ -696,6 +3498,22 @@ class TechBlog {
     };
   }
 
+  // Format a YYYY-MM-DD date the way the templates do ("September 08, 2024")
+  formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: '2-digit',
+      timeZone: 'UTC'
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   // Get preferred color scheme
   getPreferredColorScheme() {
     if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
@@ -734,11 +3552,7 @@ function toggleMobileMenu() {
 }
 
 function toggleToc() {
-  const toc = document.getElementById('toc');
-  if (toc) {
-    const isVisible = toc.style.display !== 'none';
-    toc.style.display = isVisible ? 'none' : 'block';
-  }
+  techBlog.toggleToc();
 }
 
 function handleNewsletterSignup(event) {
@@ -0,0 +1,206 @@
+/**
+ * Newsletter subscriptions for the Tech Articles Blog
+ * A provider adapter turns an address into a request and reads the list service's reply.
+ * The provider is picked by `newsletter.provider` in _config.yml:
+ *
+ *   json  POST { email, ...fields } as JSON; the reply's status code and optional
+ *         { "status": "subscribed" | "pending" | "already_subscribed" } are understood
+ *   form  POST the fields form-encoded, as the embed forms of hosted list services do.
+ *         Those services don't allow cross-origin reads, so a reply only means "sent"
+ *   mock  No network: addresses are kept in localStorage and the double opt-in link is
+ *         logged to the console, for trying the flow locally
+ *
+ * Outcomes: 'subscribed', 'pending' (waiting for the reader to confirm), 'already-subscribed',
+ * 'queued' (offline, sent later by the outbox), 'retrying' (the service failed and the
+ * outbox sends it again), 'invalid' and 'failed'. Confirmations resolve to
+ * 'confirmed', 'already-subscribed', 'invalid' or 'failed'.
+ */
+
+// Deliberately loose: the list service has the final say, this only catches typos
+const NEWSLETTER_EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+const NEWSLETTER_MOCK_KEY = 'newsletter-mock';
+
+const NEWSLETTER_PROVIDERS = {
+  json: {
+    encoding: 'json',
+    body: (email, config) => ({ ...config.fields, email }),
+    confirmBody: token => ({ token }),
+
+    async outcome(response, config) {
+      const status = await Newsletter.replyStatus(response);
+      if (response.status === 409 || status === 'already_subscribed') return 'already-subscribed';
+      if (response.ok) {
+        if (status === 'subscribed' || status === 'pending') return status;
+        return config.double_opt_in ? 'pending' : 'subscribed';
+      }
+      return [400, 422].includes(response.status) ? 'invalid' : 'failed';
+    },
+
+    async confirmOutcome(response) {
+      const status = await Newsletter.replyStatus(response);
+      if (response.status === 409 || status === 'already_confirmed') return 'already-subscribed';
+      if (response.ok) return 'confirmed';
+      return [400, 404, 410].includes(response.status) ? 'invalid' : 'failed';
+    }
+  },
+
+  form: {
+    encoding: 'form',
+    body: (email, config) => ({ ...config.fields, [config.email_field || 'email']: email }),
+    confirmBody: token => ({ token }),
+
+    outcome(response, config) {
+      if (Outbox.delivered(response)) return config.double_opt_in ? 'pending' : 'subscribed';
+      return NEWSLETTER_PROVIDERS.json.outcome(response, config);
+    },
+
+    confirmOutcome(response) {
+      if (Outbox.delivered(response)) return 'confirmed';
+      return NEWSLETTER_PROVIDERS.json.confirmOutcome(response);
+    }
+  },
+
+  mock: {
+    encoding: 'json',
+    body: (email, config) => ({ ...config.fields, email }),
+    confirmBody: token => ({ token }),
+    outcome: (response, config) => NEWSLETTER_PROVIDERS.json.outcome(response, config),
+    confirmOutcome: response => NEWSLETTER_PROVIDERS.json.confirmOutcome(response),
+
+    // Answers the way a double opt-in list would, with a fake network delay
+    async send({ body }, config) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const list = Newsletter.mockList();
+      const reply = (status, data) => new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      if (body.token) {
+        const email = Object.keys(list).find(address => list[address].token === body.token);
+        if (!email) return reply(404, { status: 'invalid' });
+        if (list[email].confirmed) return reply(409, { status: 'already_confirmed' });
+        list[email].confirmed = true;
+        Newsletter.saveMockList(list);
+        return reply(200, { status: 'confirmed' });
+      }
+
+      const email = body.email.toLowerCase();
+      if (list[email]) return reply(409, { status: 'already_subscribed' });
+
+      const token = Math.random().toString(36).slice(2);
+      list[email] = { token, confirmed: !config.double_opt_in };
+      Newsletter.saveMockList(list);
+
+      if (config.double_opt_in) {
+        const link = new URL(config.confirm_page, window.location.href);
+        link.searchParams.set('token', token);
+        console.log('Newsletter (mock): Confirm the subscription at', link.href);
+      }
+      return reply(200, { status: config.double_opt_in ? 'pending' : 'subscribed' });
+    }
+  }
+};
+
+class Newsletter {
+  /**
+   * config is `newsletter` from _config.yml plus confirm_page, the URL of the double
+   * opt-in page; an unknown provider falls back to json.
+   */
+  constructor(config = {}) {
+    this.config = { fields: {}, double_opt_in: true, ...config };
+    if (!NEWSLETTER_PROVIDERS[this.config.provider]) {
+      if (this.config.provider) {
+        console.warn(`Newsletter: Unknown provider "${this.config.provider}", using json`);
+      }
+      this.config.provider = 'json';
+    }
+    this.provider = NEWSLETTER_PROVIDERS[this.config.provider];
+  }
+
+  // Error message for the address, or null when it looks deliverable
+  static validateEmail(email) {
+    if (!email) return 'Please enter your email address.';
+    if (email.length > 254 || !NEWSLETTER_EMAIL_PATTERN.test(email)) {
+      return 'Please enter a valid email address, like name@example.com.';
+    }
+    return null;
+  }
+
+  // The "status" field of a JSON reply, normalised, or null
+  static async replyStatus(response) {
+    try {
+      const data = await response.clone().json();
+      return typeof data.status === 'string' ? data.status.toLowerCase().replace(/-/g, '_') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static mockList() {
+    try {
+      return JSON.parse(localStorage.getItem(NEWSLETTER_MOCK_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  static saveMockList(list) {
+    try {
+      localStorage.setItem(NEWSLETTER_MOCK_KEY, JSON.stringify(list));
+    } catch (error) {
+      // The mock simply forgets the address
+    }
+  }
+
+  isConfigured() {
+    return this.config.provider === 'mock' || Boolean(this.config.endpoint);
+  }
+
+  /**
+   * sendOrQueue sends an outbox entry (or queues it when offline) and resolves to
+   * { outcome, response }; it's passed in so this module stays independent of the page.
+   */
+  async subscribe(email, sendOrQueue) {
+    const entry = {
+      url: new URL(this.config.endpoint || '', window.location.href).href,
+      body: this.provider.body(email, this.config),
+      encoding: this.provider.encoding,
+      kind: 'newsletter'
+    };
+
+    if (this.provider.send) {
+      return this.provider.outcome(await this.provider.send(entry, this.config), this.config);
+    }
+
+    const { outcome, response } = await sendOrQueue(entry);
+    if (outcome === 'queued' || outcome === 'retrying') return outcome;
+    return response ? this.provider.outcome(response, this.config) : 'failed';
+  }
+
+  // Confirmation links aren't queued: the reader is looking at the result
+  async confirm(token) {
+    const entry = {
+      url: new URL(this.config.confirm_endpoint || '', window.location.href).href,
+      body: this.provider.confirmBody(token),
+      encoding: this.provider.encoding
+    };
+
+    if (!this.provider.send && !this.config.confirm_endpoint) return 'failed';
+
+    try {
+      const response = this.provider.send
+        ? await this.provider.send(entry, this.config)
+        : await Outbox.send(entry);
+      return this.provider.confirmOutcome(response);
+    } catch (error) {
+      return 'failed';
+    }
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Newsletter;
+}
@@ -0,0 +1,192 @@
+/**
+ * Offline Outbox for Tech Articles Blog
+ * Form submissions that could not be sent are stored in IndexedDB and replayed later:
+ * by the service worker's Background Sync handler where supported, otherwise by the
+ * page when the browser comes back online. Shared by main.js and sw.js.
+ */
+
+const OUTBOX_DB_NAME = 'tech-blog-outbox';
+const OUTBOX_STORE = 'submissions';
+
+// Delay before the nth retry: 30s, 1m, 2m, ... capped at one hour
+const OUTBOX_BASE_DELAY = 30 * 1000;
+const OUTBOX_MAX_DELAY = 60 * 60 * 1000;
+
+// Entries still failing after this many attempts are dropped
+const OUTBOX_MAX_ATTEMPTS = 10;
+
+// A claim older than this is taken to be from a context that stopped mid-send
+const OUTBOX_CLAIM_TIMEOUT = 60 * 1000;
+
+class Outbox {
+  // Background Sync tag the service worker listens for
+  static SYNC_TAG = 'background-sync';
+
+  static open() {
+    if (!Outbox.database) {
+      Outbox.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return Outbox.database;
+  }
+
+  // Runs fn against the object store and resolves with the request's result
+  static async transaction(mode, fn) {
+    const database = await Outbox.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(OUTBOX_STORE, mode);
+      const request = fn(transaction.objectStore(OUTBOX_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Aborts without an error event, e.g. when the browser runs out of quota
+      transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  // kind identifies the form ('newsletter', 'contact') so pages can show its pending state;
+  // encoding is 'json' or 'form' (see send)
+  static async add({ url, body, kind, encoding = 'json' }) {
+    const entry = { url, body, kind, encoding, createdAt: Date.now(), attempts: 0, nextAttemptAt: 0 };
+    entry.id = await Outbox.transaction('readwrite', store => store.add(entry));
+    return entry;
+  }
+
+  static all() {
+    return Outbox.transaction('readonly', store => store.getAll());
+  }
+
+  static put(entry) {
+    return Outbox.transaction('readwrite', store => store.put(entry));
+  }
+
+  static delete(id) {
+    return Outbox.transaction('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * JSON by default. 'form' sends the body form-encoded for hosted list services, which
+   * rarely allow cross-origin reads, so the reply is opaque (see delivered).
+   */
+  static send({ url, body, encoding = 'json' }) {
+    if (encoding === 'form') {
+      return fetch(url, { method: 'POST', mode: 'no-cors', body: new URLSearchParams(body) });
+    }
+
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // An opaque reply can't be inspected: reaching the server is all that can be known
+  static delivered(response) {
+    return response.ok || response.type === 'opaque';
+  }
+
+  static retryDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY * 2 ** (attempts - 1), OUTBOX_MAX_DELAY);
+  }
+
+  // Client errors other than timeouts and rate limiting won't succeed on a retry
+  static isPermanentFailure(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  }
+
+  /**
+   * Marks an entry as being sent and resolves to it, or to null when it is gone or another
+   * context (a tab or the service worker) is sending it. Readwrite transactions on a store
+   * run one at a time, so only one context can claim an entry.
+   */
+  static claim(id) {
+    return Outbox.transaction('readwrite', store => {
+      const claim = { result: null };
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const entry = request.result;
+        const now = Date.now();
+        if (!entry || (entry.sendingAt && now - entry.sendingAt < OUTBOX_CLAIM_TIMEOUT)) return;
+
+        entry.sendingAt = now;
+        store.put(entry);
+        claim.result = entry;
+      };
+      return claim;
+    });
+  }
+
+  /**
+   * Sends every entry whose retry delay has passed (all of them with { force: true }).
+   * Resolves to { sent, dropped, pending } where sent and dropped list the entries.
+   * Calls made while a flush is running in this context share its result.
+   */
+  static flush(options) {
+    if (!Outbox.flushing) {
+      Outbox.flushing = Outbox.sendDue(options).finally(() => {
+        Outbox.flushing = null;
+      });
+    }
+    return Outbox.flushing;
+  }
+
+  static async sendDue({ force = false } = {}) {
+    const result = { sent: [], dropped: [], pending: 0 };
+    const now = Date.now();
+
+    for (const candidate of await Outbox.all()) {
+      if (!force && candidate.nextAttemptAt > now) {
+        result.pending++;
+        continue;
+      }
+
+      const entry = await Outbox.claim(candidate.id);
+      if (!entry) {
+        result.pending++;
+        continue;
+      }
+
+      let status = 0;
+      let delivered = false;
+      try {
+        const response = await Outbox.send(entry);
+        status = response.status;
+        delivered = Outbox.delivered(response);
+      } catch (error) {
+        // Still offline or the endpoint is unreachable
+      }
+
+      if (delivered) {
+        await Outbox.delete(entry.id);
+        result.sent.push(entry);
+        continue;
+      }
+
+      entry.attempts++;
+      if (Outbox.isPermanentFailure(status) || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+        console.warn('Outbox: Dropping submission after', entry.attempts, 'attempts, last status', status);
+        await Outbox.delete(entry.id);
+        result.dropped.push(entry);
+        continue;
+      }
+
+      entry.nextAttemptAt = Date.now() + Outbox.retryDelay(entry.attempts);
+      delete entry.sendingAt;
+      await Outbox.put(entry);
+      result.pending++;
+    }
+
+    return result;
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Outbox;
+}
@@ -0,0 +1,116 @@
+/**
+ * Route Table for the Tech Articles Blog service worker
+ * Maps requests to caching strategies with declarative routes, checked in order:
+ *
+ *   { match: { origin, path, extension, destination }, strategy, options }
+ *
+ * Every criterion given must match; a route without criteria matches everything.
+ *   origin       'same', 'cross' or an origin such as 'https://fonts.gstatic.com'
+ *   path         Glob against the pathname: '*' and '?' stop at '/', '**' doesn't
+ *   extension    File extension without the dot, compared case-insensitively
+ *   destination  Request.destination: 'document', 'image', 'script', 'style', 'font'...
+ * Each may also be a list of alternatives. The table itself knows nothing about caches,
+ * so it can be exercised with plain Request objects outside a service worker.
+ */
+
+const ROUTE_CRITERIA = ['origin', 'path', 'extension', 'destination'];
+
+class RouteTable {
+  /**
+   * routes are validated against the strategy names the worker implements; an invalid
+   * route (e.g. a typo in _config.yml) is skipped with a warning rather than breaking
+   * the worker.
+   */
+  constructor(routes, { origin, strategies }) {
+    this.origin = origin;
+    this.routes = routes
+      .filter(route => RouteTable.validate(route, strategies))
+      .map(route => ({
+        strategy: route.strategy,
+        options: route.options || {},
+        matchers: RouteTable.compile(route.match || {})
+      }));
+  }
+
+  static validate(route, strategies) {
+    let problem = null;
+    if (!route || typeof route !== 'object') {
+      problem = 'is not an object';
+    } else if (!strategies.includes(route.strategy)) {
+      problem = `has unknown strategy "${route.strategy}"`;
+    } else if (Object.keys(route.match || {}).some(key => !ROUTE_CRITERIA.includes(key))) {
+      problem = `matches on unknown criteria (expected ${ROUTE_CRITERIA.join(', ')})`;
+    }
+
+    if (problem) {
+      console.warn('Route Table: Skipping route that', problem, route);
+    }
+    return !problem;
+  }
+
+  static compile(match) {
+    const list = value => (Array.isArray(value) ? value : [value]);
+    const matchers = [];
+
+    if (match.origin !== undefined) {
+      const origins = list(match.origin);
+      matchers.push((url, request, origin) => origins.some(expected => {
+        if (expected === 'same') return url.origin === origin;
+        if (expected === 'cross') return url.origin !== origin;
+        return url.origin === expected;
+      }));
+    }
+
+    if (match.path !== undefined) {
+      const patterns = list(match.path).map(RouteTable.globToRegExp);
+      matchers.push(url => patterns.some(pattern => pattern.test(url.pathname)));
+    }
+
+    if (match.extension !== undefined) {
+      const extensions = list(match.extension).map(extension => extension.replace(/^\./, '').toLowerCase());
+      matchers.push(url => extensions.includes(RouteTable.extension(url.pathname)));
+    }
+
+    if (match.destination !== undefined) {
+      const destinations = list(match.destination);
+      matchers.push((url, request) => destinations.includes(request.destination || ''));
+    }
+
+    return matchers;
+  }
+
+  static globToRegExp(glob) {
+    const source = glob.split(/(\*\*\/?|\*|\?)/).map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  // Lowercase extension of the last path segment, or '' when it has none
+  static extension(pathname) {
+    const match = pathname.match(/\.([^./]+)$/);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  // First route matching the request, or null to leave it to the browser
+  match(request) {
+    const url = new URL(request.url);
+    return this.routes.find(route =>
+      route.matchers.every(matcher => matcher(url, request, this.origin))) || null;
+  }
+
+  // Caches the routes write to, so the worker doesn't delete them as stale on activate
+  cacheNames() {
+    return [...new Set(this.routes.map(route => route.options.cache).filter(Boolean))];
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteTable;
+}
@@ -0,0 +1,501 @@
+/**
+ * Search Engine for Tech Articles Blog
+ * Builds an inverted index over search-index.json entries and ranks matches with BM25
+ */
+
+// Common English words that carry no meaning for ranking
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no',
+  'not', 'of', 'on', 'or', 'our', 'out', 'she', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+  title: 5,
+  section: 4,
+  tags: 3,
+  excerpt: 2,
+  content: 1
+};
+
+// Suffixes removed by the stemmer, longest first
+const STEM_SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ousness', 'ous'],
+  ['ations', ''],
+  ['ation', ''],
+  ['ments', ''],
+  ['ment', ''],
+  ['ness', ''],
+  ['sses', 'ss'],
+  ['uses', 'us'],
+  ['ches', 'ch'],
+  ['shes', 'sh'],
+  ['xes', 'x'],
+  ['ies', 'y'],
+  ['ing', ''],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['ly', ''],
+  ['s', '']
+];
+
+// Words that end like an inflection but aren't one
+const STEM_EXCEPTIONS = new Set(['business', 'news', 'series', 'species']);
+
+class SearchEngine {
+  constructor(documents = [], options = {}) {
+    this.options = {
+      k1: 1.2,
+      b: 0.75,
+      fieldWeights: FIELD_WEIGHTS,
+      minPrefixLength: 2,
+      prefixWeight: 0.75,
+      fuzzyWeight: 0.5,
+      ...options
+    };
+
+    this.build(documents);
+  }
+
+  /**
+   * Loading
+   */
+
+  /**
+   * Fetch search-index.json and index it. Shards are fetched one at a time and searchable
+   * as soon as each arrives: this resolves once the first is in, this.loading settles when
+   * the rest are, and onProgress({ loaded, total }) runs after every shard.
+   */
+  async loadIndex(url, { onProgress = () => {} } = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Search index request failed with status ${response.status}`);
+    }
+
+    const index = await response.json();
+    if (Array.isArray(index)) {
+      this.add(index);
+      this.loading = Promise.resolve();
+      return;
+    }
+
+    let loaded = 0;
+    const loadShard = async shard => {
+      const shardResponse = await fetch(new URL(shard, response.url || url));
+      if (!shardResponse.ok) {
+        throw new Error(`Search index shard ${shard} failed to load`);
+      }
+
+      this.add(SearchEngine.expandShards(index, await shardResponse.json()));
+      onProgress({ loaded: ++loaded, total: index.shards.length });
+    };
+
+    const [first, ...rest] = index.shards;
+    if (first) await loadShard(first);
+    this.loading = rest.reduce((previous, shard) => previous.then(() => loadShard(shard)), Promise.resolve());
+  }
+
+  // One search entry per article section, carrying its article's metadata
+  static expandShards(manifest, sections) {
+    return sections.map(section => {
+      const document = manifest.documents[section.doc];
+
+      return {
+        ...document,
+        id: section.doc,
+        section: section.heading,
+        url: section.anchor ? `${document.url}#${section.anchor}` : document.url,
+        // The excerpt describes the whole article, so only the introduction carries it
+        excerpt: section.heading ? '' : document.excerpt,
+        content: section.content
+      };
+    });
+  }
+
+  /**
+   * Text Processing
+   */
+
+  // Lowercase and strip diacritics so "Café" matches "cafe"
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  // Split text into raw words, keeping identifiers like "node.js", "c++" or "c#" intact
+  static words(text) {
+    return SearchEngine.normalize(text).match(/[a-z0-9]+(?:[.+#][a-z0-9+#]+)*[+#]*/g) || [];
+  }
+
+  // Light suffix-stripping stemmer: enough to fold plurals and verb forms together
+  static stem(word) {
+    if (word.length < 4 || /[^a-z]/.test(word) || STEM_EXCEPTIONS.has(word)) return word;
+
+    // "cache", "caches", "cached" and "caching" all come down to "cach"
+    const dropFinalE = stem => (stem.length > 3 && stem.endsWith('e') ? stem.slice(0, -1) : stem);
+
+    for (const [suffix, replacement] of STEM_SUFFIXES) {
+      // "process", "status" and "analysis" are not plurals
+      if (suffix === 's' && /(ss|us|is)$/.test(word)) continue;
+
+      if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+        let stem = word.slice(0, -suffix.length) + replacement;
+
+        // "running" -> "runn" -> "run", but keep "install" and "jekyll"
+        if (!replacement && /([^aeiouls])\1$/.test(stem)) {
+          stem = stem.slice(0, -1);
+        }
+
+        return dropFinalE(stem);
+      }
+    }
+
+    return dropFinalE(word);
+  }
+
+  static tokenize(text) {
+    return SearchEngine.words(text)
+      .filter(word => !STOP_WORDS.has(word))
+      .map(word => SearchEngine.stem(word));
+  }
+
+  // Positions of the words in the original text whose stems are among the given terms
+  static matchRanges(text, terms) {
+    const termSet = new Set(terms);
+    const ranges = [];
+    const pattern = /[\p{L}\p{N}]+(?:[.+#][\p{L}\p{N}+#]+)*[+#]*/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const term = SearchEngine.stem(SearchEngine.normalize(match[0]));
+      if (termSet.has(term)) {
+        ranges.push({ start: match.index, end: match.index + match[0].length, term });
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Indexing
+   */
+  build(documents) {
+    this.documents = [];
+    this.postings = new Map();
+    this.fieldLengths = [];
+    this.fieldTotals = Object.fromEntries(Object.keys(this.options.fieldWeights).map(field => [field, 0]));
+    this.averageFieldLengths = {};
+    this.loading = Promise.resolve();
+
+    this.add(documents);
+  }
+
+  // Index more entries, e.g. a shard that has just loaded
+  add(documents) {
+    const fields = Object.keys(this.options.fieldWeights);
+    const totals = this.fieldTotals;
+
+    documents.forEach(document => {
+      const ref = this.documents.length;
+      const lengths = {};
+      this.documents.push(document);
+
+      fields.forEach(field => {
+        const tokens = SearchEngine.tokenize(this.fieldText(document, field));
+        lengths[field] = tokens.length;
+        totals[field] += tokens.length;
+
+        tokens.forEach(token => {
+          if (!this.postings.has(token)) {
+            this.postings.set(token, new Map());
+          }
+
+          const posting = this.postings.get(token);
+          if (!posting.has(ref)) {
+            posting.set(ref, {});
+          }
+
+          const frequencies = posting.get(ref);
+          frequencies[field] = (frequencies[field] || 0) + 1;
+        });
+      });
+
+      this.fieldLengths.push(lengths);
+    });
+
+    fields.forEach(field => {
+      this.averageFieldLengths[field] = this.documents.length ? totals[field] / this.documents.length : 0;
+    });
+
+    // Sorted vocabulary allows binary search for prefix matches
+    this.vocabulary = Array.from(this.postings.keys()).sort();
+  }
+
+  fieldText(document, field) {
+    const value = document[field];
+    return Array.isArray(value) ? value.join(' ') : value || '';
+  }
+
+  /**
+   * Querying
+   */
+  search(query, { limit = Infinity } = {}) {
+    const queryTerms = Array.from(new Set(SearchEngine.tokenize(query)));
+    if (queryTerms.length === 0) return [];
+
+    const scores = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      // Best score this query term contributes to each document
+      const termScores = new Map();
+
+      this.expandTerm(queryTerm).forEach(({ term, weight }) => {
+        const idf = this.inverseDocumentFrequency(term);
+
+        this.postings.get(term).forEach((frequencies, ref) => {
+          const score = weight * idf * this.termSaturation(ref, frequencies);
+          const best = termScores.get(ref);
+
+          if (!best || score > best.score) {
+            termScores.set(ref, { score, term });
+          }
+        });
+      });
+
+      termScores.forEach(({ score, term }, ref) => {
+        if (!scores.has(ref)) {
+          scores.set(ref, { score: 0, terms: [], matched: 0 });
+        }
+
+        const entry = scores.get(ref);
+        entry.score += score;
+        entry.terms.push(term);
+        entry.matched++;
+      });
+    });
+
+    return Array.from(scores, ([ref, { score, terms, matched }]) => ({
+      ref,
+      document: this.documents[ref],
+      // Favour documents that match every query term over ones that match a few strongly
+      score: score * (matched / queryTerms.length),
+      terms
+    }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Run a query parsed by SearchQuery.parse: ranked free text narrowed by filters,
+  // date ranges, exact phrases and exclusions. Returns matching documents, best first.
+  query(parsedQuery) {
+    const freeText = [...parsedQuery.text, ...parsedQuery.phrases].join(' ');
+    const hasConstraints = parsedQuery.filters.length || parsedQuery.exclude.length ||
+      parsedQuery.after || parsedQuery.before;
+    if (!freeText && !hasConstraints) return [];
+
+    // Filter-only queries list every matching entry, newest first
+    const candidates = freeText
+      ? this.search(freeText)
+      : this.documents
+        .map((document, ref) => ({ ref, document, score: 0, terms: [] }))
+        .sort((a, b) => (b.document.date || '').localeCompare(a.document.date || ''));
+
+    // Excluding a word drops the whole article, not just the sections mentioning it
+    const excluded = new Set();
+    parsedQuery.exclude.forEach(word => {
+      SearchEngine.tokenize(word).forEach(term => {
+        (this.postings.get(term) || new Map()).forEach((_, ref) => {
+          excluded.add(this.documentKey(this.documents[ref]));
+        });
+      });
+    });
+
+    // Offline search passes the paths that are cached on this device
+    const within = parsedQuery.within ? new Set(parsedQuery.within) : null;
+
+    // Only the best-matching section of each article is listed
+    const seen = new Set();
+
+    return candidates
+      .filter(({ document }) => {
+        const key = this.documentKey(document);
+        if (seen.has(key) || excluded.has(key)) return false;
+        if (within && !within.has(new URL(document.url, location.href).pathname)) return false;
+        if (!this.matchesQuery(document, parsedQuery)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(result => ({ ...result.document, terms: result.terms }));
+  }
+
+  matchesQuery(document, parsedQuery) {
+    const normalize = text => SearchEngine.normalize(text).replace(/\s+/g, ' ');
+
+    const filtersMatch = parsedQuery.filters.every(({ field, value, negate }) => {
+      let matches;
+      if (field === 'author') {
+        matches = normalize(document.author).includes(normalize(value));
+      } else {
+        const values = document[field === 'tag' ? 'tags' : 'categories'] || [];
+        matches = values.some(item => normalize(item) === normalize(value));
+      }
+      return matches !== negate;
+    });
+
+    if (!filtersMatch) return false;
+
+    if (parsedQuery.after || parsedQuery.before) {
+      if (!document.date) return false;
+      if (parsedQuery.after && document.date < parsedQuery.after) return false;
+      if (parsedQuery.before && document.date >= parsedQuery.before) return false;
+    }
+
+    const text = normalize(`${document.title} ${document.section || ''} ${document.excerpt} ${document.content}`);
+    return parsedQuery.phrases.every(phrase => text.includes(normalize(phrase)));
+  }
+
+  // Sections of the same article share an id; entries without one are whole pages
+  documentKey(document) {
+    return document.id ?? document.url;
+  }
+
+  // Exact, prefix and typo-tolerant index terms for a query term, each with a weight
+  expandTerm(queryTerm) {
+    const expansions = new Map();
+    const add = (term, weight) => {
+      if ((expansions.get(term) || 0) < weight) {
+        expansions.set(term, weight);
+      }
+    };
+
+    if (this.postings.has(queryTerm)) {
+      add(queryTerm, 1);
+    }
+
+    if (queryTerm.length >= this.options.minPrefixLength) {
+      this.prefixMatches(queryTerm).forEach(term => {
+        // Shorter completions are closer to what the reader typed
+        add(term, this.options.prefixWeight * (queryTerm.length / term.length) ** 0.5);
+      });
+    }
+
+    const maxDistance = this.maxEditDistance(queryTerm);
+    if (maxDistance > 0) {
+      this.vocabulary.forEach(term => {
+        if (Math.abs(term.length - queryTerm.length) > maxDistance) return;
+
+        const distance = this.editDistance(queryTerm, term, maxDistance);
+        if (distance > 0 && distance <= maxDistance) {
+          add(term, this.options.fuzzyWeight / distance);
+        }
+      });
+    }
+
+    return Array.from(expansions, ([term, weight]) => ({ term, weight }));
+  }
+
+  prefixMatches(prefix) {
+    const matches = [];
+    let low = 0;
+    let high = this.vocabulary.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.vocabulary[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+      if (this.vocabulary[i] !== prefix) {
+        matches.push(this.vocabulary[i]);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Scoring
+   */
+  inverseDocumentFrequency(term) {
+    const documentCount = this.documents.length;
+    const documentFrequency = this.postings.get(term).size;
+    return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // BM25F: length-normalised, field-weighted term frequency with saturation
+  termSaturation(ref, frequencies) {
+    const { k1, b, fieldWeights } = this.options;
+    let weightedFrequency = 0;
+
+    Object.entries(frequencies).forEach(([field, frequency]) => {
+      const average = this.averageFieldLengths[field] || 1;
+      const normalization = 1 - b + b * (this.fieldLengths[ref][field] / average);
+      weightedFrequency += fieldWeights[field] * frequency / normalization;
+    });
+
+    return weightedFrequency / (k1 + weightedFrequency);
+  }
+
+  /**
+   * Typo Tolerance
+   */
+  maxEditDistance(term) {
+    if (term.length < 4) return 0;
+    if (term.length < 8) return 1;
+    return 2;
+  }
+
+  // Damerau-Levenshtein distance (adjacent transpositions count as one edit),
+  // abandoned early once every path exceeds maxDistance
+  editDistance(source, target, maxDistance = Infinity) {
+    let previousRow = null;
+    let row = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= source.length; i++) {
+      const nextRow = [i];
+      let rowMinimum = i;
+
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+        let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 &&
+            source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+          distance = Math.min(distance, previousRow[j - 2] + 1);
+        }
+
+        nextRow.push(distance);
+        rowMinimum = Math.min(rowMinimum, distance);
+      }
+
+      if (rowMinimum > maxDistance) return maxDistance + 1;
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[target.length];
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchEngine;
+}
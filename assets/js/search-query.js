@@ -0,0 +1,103 @@
+/**
+ * Search Query parser for the Tech Articles Blog
+ * Splits what the reader typed into free text, phrases, exclusions and filters:
+ *
+ *   tag:jekyll author:"Tech Articles Team" after:2024-09 "static site" -gatsby
+ *
+ *   word, "a phrase"          Ranked free text; a phrase must appear as written
+ *   -word                     Drops articles mentioning the word
+ *   tag:, category:, author:  Filters on the article's metadata; -tag:x excludes
+ *   after:, before:           Date range, as YYYY, YYYY-MM or YYYY-MM-DD
+ *
+ * Mistakes (an unclosed quote, a filter without a value, a bad date) are collected in
+ * errors for the page to show, and the rest of the query still runs. The result is what
+ * SearchEngine#query expects.
+ */
+
+const SEARCH_QUERY_FIELDS = ['tag', 'category', 'author', 'after', 'before'];
+
+class SearchQuery {
+  static parse(query) {
+    const parsed = {
+      text: [],
+      phrases: [],
+      exclude: [],
+      filters: [],
+      after: null,
+      before: null,
+      errors: []
+    };
+
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)("?)|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const [raw, negation, field, quoted, closingQuote, word] = match;
+      const negate = negation === '-';
+      const key = field && field.toLowerCase();
+      const value = (quoted !== undefined ? quoted : word).trim();
+
+      const unclosedQuote = quoted !== undefined && !closingQuote;
+      if (unclosedQuote) {
+        parsed.errors.push(`Missing closing quote in ${raw}`);
+      }
+
+      // "tag:" followed by a space or the end of the query
+      if (!field && /^-?[a-z]+:$/i.test(raw) && SEARCH_QUERY_FIELDS.includes(raw.replace(/^-|:$/g, '').toLowerCase())) {
+        parsed.errors.push(`${raw} needs a value, e.g. ${raw}jekyll`);
+        continue;
+      }
+
+      if (!value) continue;
+
+      if (key === 'after' || key === 'before') {
+        const date = SearchQuery.parseDate(value);
+        if (!date) {
+          parsed.errors.push(`${key}: expects a date like 2024-09-01, 2024-09 or 2024 (got "${value}")`);
+        } else if (negate) {
+          parsed.errors.push(`${key}: cannot be negated`);
+        } else {
+          parsed[key] = date;
+        }
+      } else if (key && SEARCH_QUERY_FIELDS.includes(key)) {
+        parsed.filters.push({ field: key, value, negate });
+      } else if (key) {
+        // Unknown prefixes such as "http:" are treated as plain text
+        parsed.text.push(raw.replace(/^-/, ''));
+      } else if (negate) {
+        parsed.exclude.push(value);
+      } else if (quoted !== undefined && !unclosedQuote) {
+        parsed.phrases.push(value);
+      } else {
+        parsed.text.push(value);
+      }
+    }
+
+    if (parsed.after && parsed.before && parsed.after >= parsed.before) {
+      parsed.errors.push('after: must be earlier than before:');
+    }
+
+    return parsed;
+  }
+
+  // Accepts YYYY, YYYY-MM or YYYY-MM-DD and returns the first day it covers as YYYY-MM-DD
+  static parseDate(value) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01'] = match;
+    const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+
+    // Reject dates that roll over, such as 2024-02-31
+    if (isNaN(date) || date.getUTCMonth() + 1 !== Number(month) || date.getUTCDate() !== Number(day)) {
+      return null;
+    }
+
+    return `${year}-${month}-${day}`;
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchQuery;
+}
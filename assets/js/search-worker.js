@@ -0,0 +1,75 @@
+/**
+ * Search Worker for Tech Articles Blog
+ * Fetches, indexes and queries the search index off the main thread
+ *
+ * Messages are { id, type, payload } and every reply is { id, result } or { id, error }:
+ *   load   { url }                    -> { count } once the first shard is searchable
+ *   search { query, offset, limit }   -> { total, results }
+ *   cancel                            -> no reply; drops the search with that id
+ *
+ * While the remaining shards load, each one is announced with { type: 'progress', loaded,
+ * total } so the page can refresh the results it shows.
+ */
+
+importScripts('search-engine.js');
+
+let engine = null;
+let pendingSearch = null;
+
+self.addEventListener('message', event => {
+  const { id, type, payload } = event.data;
+
+  switch (type) {
+    case 'load':
+      loadIndex(id, payload.url);
+      break;
+    case 'search':
+      // Searches wait a tick so that a burst of keystrokes only runs the last one
+      if (!pendingSearch) {
+        setTimeout(runPendingSearch, 0);
+      }
+      pendingSearch = { id, payload };
+      break;
+    case 'cancel':
+      if (pendingSearch && pendingSearch.id === id) {
+        pendingSearch = null;
+      }
+      break;
+  }
+});
+
+async function loadIndex(id, url) {
+  const loading = new SearchEngine();
+
+  try {
+    await loading.loadIndex(url, {
+      onProgress: ({ loaded, total }) => {
+        if (engine === loading) self.postMessage({ type: 'progress', loaded, total });
+      }
+    });
+    engine = loading;
+    self.postMessage({ id, result: { count: engine.documents.length } });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+    return;
+  }
+
+  // Searches keep using the shards that did load
+  engine.loading.catch(error => console.warn('Search worker: Could not load the whole index:', error));
+}
+
+function runPendingSearch() {
+  if (!pendingSearch) return;
+
+  const { id, payload } = pendingSearch;
+  pendingSearch = null;
+
+  if (!engine) {
+    self.postMessage({ id, error: 'Search index is not loaded' });
+    return;
+  }
+
+  const { query, offset = 0, limit = Infinity } = payload;
+  const results = engine.query(query);
+  self.postMessage({ id, result: { total: results.length, results: results.slice(offset, offset + limit) } });
+}
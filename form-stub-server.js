@@ -0,0 +1,53 @@
+/**
+ * Local stub endpoint for the newsletter and contact forms
+ * Logs every JSON submission it receives. Used by _config_dev.yml; start it with
+ * `npm run stub:forms`.
+ *
+ * STUB_PORT     Port to listen on (default 4001)
+ * STUB_STATUS   Status code to answer with, e.g. 503 to exercise the outbox retries
+ * STUB_DELAY    Milliseconds to wait before answering
+ */
+
+const http = require('http');
+
+const port = Number(process.env.STUB_PORT) || 4001;
+const status = Number(process.env.STUB_STATUS) || 200;
+const delay = Number(process.env.STUB_DELAY) || 0;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, corsHeaders);
+    response.end();
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    response.writeHead(405, { ...corsHeaders, Allow: 'POST, OPTIONS' });
+    response.end();
+    return;
+  }
+
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+  });
+
+  request.on('end', () => {
+    console.log(`${new Date().toISOString()} ${request.url} -> ${status}`, body);
+
+    setTimeout(() => {
+      response.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ ok: status >= 200 && status < 300 }));
+    }, delay);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Form stub server listening on http://localhost:${port} (answering ${status})`);
+});
@@ -0,0 +1,106 @@
+/**
+ * Local stand-in push server for new-article notifications
+ * Stores subscriptions in memory and sends test notifications through the real push
+ * services with web-push. Used by _config_dev.yml; start it with `npm run stub:push`.
+ *
+ * The VAPID keys are generated on the first run and kept in .push-stub-keys.json; paste the
+ * printed public key into push.vapid_public_key in _config_dev.yml.
+ *
+ * POST   /subscriptions  { subscription, topics }  Store or update a subscription
+ * DELETE /subscriptions  { endpoint }              Remove a subscription
+ * POST   /notify         { title, body, url, image, tag, category }
+ *        Notifies every subscriber whose topics are empty or include the category
+ *
+ * STUB_PORT  Port to listen on (default 4002)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const webpush = require('web-push');
+
+const port = Number(process.env.STUB_PORT) || 4002;
+const keysPath = path.join(__dirname, '.push-stub-keys.json');
+
+if (!fs.existsSync(keysPath)) {
+  fs.writeFileSync(keysPath, JSON.stringify(webpush.generateVAPIDKeys(), null, 2));
+}
+const keys = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+webpush.setVapidDetails('mailto:push-stub@localhost', keys.publicKey, keys.privateKey);
+
+// endpoint -> { subscription, topics }
+const subscriptions = new Map();
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+function reply(response, status, body) {
+  response.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+async function notify(payload) {
+  const recipients = [...subscriptions.values()].filter(({ topics }) =>
+    !topics.length || !payload.category || topics.includes(payload.category));
+
+  const results = await Promise.allSettled(recipients.map(({ subscription }) =>
+    webpush.sendNotification(subscription, JSON.stringify(payload))));
+
+  results.forEach((result, index) => {
+    // The push service forgot this subscription (unsubscribed or expired)
+    if (result.status === 'rejected' && [404, 410].includes(result.reason.statusCode)) {
+      subscriptions.delete(recipients[index].subscription.endpoint);
+    }
+  });
+
+  return { sent: results.filter(result => result.status === 'fulfilled').length, recipients: recipients.length };
+}
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, corsHeaders);
+    response.end();
+    return;
+  }
+
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+  });
+
+  request.on('end', async () => {
+    let data;
+    try {
+      data = body ? JSON.parse(body) : {};
+    } catch (error) {
+      reply(response, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    const route = `${request.method} ${request.url}`;
+    console.log(new Date().toISOString(), route);
+
+    if (route === 'POST /subscriptions' && data.subscription && data.subscription.endpoint) {
+      subscriptions.set(data.subscription.endpoint, { subscription: data.subscription, topics: data.topics || [] });
+      reply(response, 201, { subscribers: subscriptions.size });
+    } else if (route === 'DELETE /subscriptions' && data.endpoint) {
+      subscriptions.delete(data.endpoint);
+      reply(response, 200, { subscribers: subscriptions.size });
+    } else if (route === 'POST /notify') {
+      reply(response, 200, await notify(data));
+    } else {
+      reply(response, 404, { error: 'Not found' });
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Push stub server listening on http://localhost:${port}`);
+  console.log(`VAPID public key: ${keys.publicKey}`);
+  console.log(`Send a test notification with:
+  curl -X POST http://localhost:${port}/notify -H 'Content-Type: application/json' \\
+    -d '{"title": "New article", "body": "Hello", "url": "/", "tag": "test"}'`);
+});
@@ -3,45 +3,131 @@
  * Provides offline functionality and caching for improved performance
  */
 
-const CACHE_NAME = 'tech-blog-v1.0.0';
+// Offline form submissions queue (Outbox), runtime cache limits (CacheExpiration) and
+// request routing (RouteTable)
+importScripts('/assets/js/outbox.js', '/assets/js/cache-expiration.js', '/assets/js/route-table.js');
+
+// Each build installs into its own precache, named by a hash of its manifest that the build
+// injects. Workers only read their own, so an open page keeps getting the files of the build
+// it was loaded with until it accepts the update.
+const PRECACHE_PREFIX = 'precache-';
+const PRECACHE = `${PRECACHE_PREFIX}${self.__PRECACHE_VERSION || 'dev'}`;
 const RUNTIME_CACHE = 'runtime-cache-v1';
+const PAGES_CACHE = 'runtime-pages-v1';
+const IMAGES_CACHE = 'runtime-images-v1';
+const SEARCH_INDEX_CACHE = 'search-index-v1';
+const SEARCH_INDEX_URL = '/search-index.json';
+const SAVED_CACHE = 'saved-articles-v1';
 
-// Core files to cache on install
-const STATIC_ASSETS = [
-  '/',
-  '/offline.html',
-  '/assets/css/style.css',
-  '/assets/js/main.js',
-  '/manifest.json'
-];
+// Where the saved articles' titles, sizes and resources are recorded
+const SAVED_ARTICLES_URL = '/__saved-articles';
+
+// Where the revisions currently held in PRECACHE are recorded
+const PRECACHE_REVISIONS_URL = '/__precache-revisions';
+
+// Limits for the caches filled while browsing: least recently used entries go first
+const CACHE_EXPIRATION = {
+  [PAGES_CACHE]: new CacheExpiration(PAGES_CACHE, {
+    maxEntries: 50,
+    maxBytes: 10 * 1024 * 1024,
+    maxAgeSeconds: 7 * 24 * 60 * 60
+  }),
+  [IMAGES_CACHE]: new CacheExpiration(IMAGES_CACHE, {
+    maxEntries: 100,
+    maxBytes: 50 * 1024 * 1024,
+    maxAgeSeconds: 30 * 24 * 60 * 60
+  }),
+  [RUNTIME_CACHE]: new CacheExpiration(RUNTIME_CACHE, {
+    maxEntries: 100,
+    maxBytes: 20 * 1024 * 1024,
+    maxAgeSeconds: 30 * 24 * 60 * 60
+  })
+};
+
+// Assets, posts and core pages as [{ url, revision }]. The build replaces the placeholder
+// with the real list (see _plugins/precache_manifest.rb); unbuilt copies precache nothing.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+
+// Optional "what's new" text for the update banner, injected from _config.yml's release_note
+const RELEASE_NOTE = self.__RELEASE_NOTE || '';
+
+// Routes declared under service_worker_routes in _config.yml, injected by the build
+const SITE_ROUTES = self.__SITE_ROUTES || [];
 
-// Cache strategies for different types of requests
-const CACHE_STRATEGIES = {
-  // Cache first for static assets
-  CACHE_FIRST: 'cache-first',
-  // Network first for API calls and dynamic content
-  NETWORK_FIRST: 'network-first',
-  // Stale while revalidate for images and frequently updated content
-  STALE_WHILE_REVALIDATE: 'stale-while-revalidate'
+// Strategies a route can name. Each is called with (request, options, event).
+const STRATEGIES = {
+  'cache-first': cacheFirst,
+  'network-first': networkFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'network-only': networkOnly,
+  'cache-only': cacheOnly,
+  // The search index manifest and assets a saved article pinned on another origin
+  'search-index': (request, options, event) => serveSearchIndex(event),
+  'saved-or-network': savedOrNetwork
 };
 
+// The first matching route serves a request; unmatched requests go to the browser as usual.
+// Site routes come first so they can override any built-in one.
+const ROUTES = [
+  ...SITE_ROUTES,
+  {
+    match: { origin: 'cross', destination: ['script', 'style', 'image', 'font'] },
+    strategy: 'saved-or-network'
+  },
+  { match: { origin: 'same', path: SEARCH_INDEX_URL }, strategy: 'search-index' },
+  {
+    // Shards are named by content hash, so a cached copy is never stale
+    match: { origin: 'same', path: '/search-index/*.json' },
+    strategy: 'cache-first',
+    options: { cache: SEARCH_INDEX_CACHE }
+  },
+  {
+    match: { origin: 'same', path: ['/assets/**', '/manifest.json'] },
+    strategy: 'cache-first'
+  },
+  {
+    match: { origin: 'same', extension: ['css', 'js'] },
+    strategy: 'cache-first'
+  },
+  {
+    match: { origin: 'same', destination: ['document', 'iframe'] },
+    strategy: 'network-first',
+    options: { cache: PAGES_CACHE, timeout: 5, fallback: '/offline.html' }
+  },
+  {
+    match: { origin: 'same', destination: 'image' },
+    strategy: 'stale-while-revalidate',
+    options: { cache: IMAGES_CACHE }
+  },
+  {
+    match: { origin: 'same', extension: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'] },
+    strategy: 'stale-while-revalidate',
+    options: { cache: IMAGES_CACHE }
+  },
+  { match: { origin: 'same' }, strategy: 'network-first' }
+];
+
+const ROUTE_TABLE = new RouteTable(ROUTES, {
+  origin: self.location.origin,
+  strategies: Object.keys(STRATEGIES)
+});
+
 // Install event - cache core assets
 self.addEventListener('install', event => {
   console.log('Service Worker: Installing...');
   
+  // precacheAssets tolerates entries that fail to download, but anything else rejects and
+  // fails the install: the current worker and its precache then stay until the next try.
+  // The new worker otherwise waits until the page accepts the update and sends SKIP_WAITING.
+  // Its files sit in a precache of their own until then, which the active worker never
+  // reads, so open pages never run against files they weren't built for.
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Service Worker: Caching core assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        // Force the waiting service worker to become the active service worker
-        return self.skipWaiting();
-      })
-      .catch(error => {
-        console.error('Service Worker: Cache installation failed:', error);
-      })
+    Promise.all([
+      precacheAssets(),
+      // Precache the search index so search works on the very first offline visit (this
+      // never rejects: search falls back to the network without it)
+      updateSearchIndex()
+    ])
   );
 });
 
@@ -51,47 +137,40 @@ self.addEventListener('activate', event => {
   
   event.waitUntil(
     Promise.all([
-      // Clean up old caches
+      // Clean up old caches, including the previous build's precache
       caches.keys().then(cacheNames => {
         return Promise.all(
           cacheNames.map(cacheName => {
-            if (cacheName !== CACHE_NAME && cacheName !== RUNTIME_CACHE) {
+            if (![PRECACHE, RUNTIME_CACHE, PAGES_CACHE, IMAGES_CACHE, SEARCH_INDEX_CACHE, SAVED_CACHE,
+              ...ROUTE_TABLE.cacheNames()].includes(cacheName)) {
               console.log('Service Worker: Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
           })
         );
       }),
+      // Enforce the runtime cache limits
+      ...Object.values(CACHE_EXPIRATION).map(expiration => expiration.cleanup()),
+      // Start navigation requests in parallel with booting the worker
+      enableNavigationPreload(),
       // Take control of all pages
       self.clients.claim()
     ])
   );
 });
 
-// Fetch event - serve cached content when offline
+// Fetch event - serve each request with the strategy of the first matching route
 self.addEventListener('fetch', event => {
   const { request } = event;
-  const url = new URL(request.url);
   
   // Skip non-GET requests
   if (request.method !== 'GET') {
     return;
   }
   
-  // Skip external requests (different origin)
-  if (url.origin !== location.origin) {
-    return;
-  }
-  
-  // Determine caching strategy based on request type
-  if (isStaticAsset(request)) {
-    event.respondWith(cacheFirst(request));
-  } else if (isHTMLRequest(request)) {
-    event.respondWith(networkFirst(request));
-  } else if (isImageRequest(request)) {
-    event.respondWith(staleWhileRevalidate(request));
-  } else {
-    event.respondWith(networkFirst(request));
+  const route = ROUTE_TABLE.match(request);
+  if (route) {
+    event.respondWith(STRATEGIES[route.strategy](request, route.options, event));
   }
 });
 
@@ -100,23 +179,72 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  if (event.data && event.data.type === 'GET_RELEASE_NOTE' && event.ports[0]) {
+    event.ports[0].postMessage({ note: RELEASE_NOTE });
+  }
+
+  // Replies through the MessageChannel port the client sent along
+  if (event.data && event.data.type === 'GET_CACHED_ARTICLES' && event.ports && event.ports[0]) {
+    event.waitUntil(
+      getCachedArticleURLs()
+        .catch(error => {
+          console.error('Listing cached articles failed:', error);
+          return [];
+        })
+        .then(urls => {
+          event.ports[0].postMessage({ urls });
+        })
+    );
+  }
+
+  if (event.data && event.data.type === 'GET_OFFLINE_ARTICLES' && event.ports[0]) {
+    event.waitUntil(
+      getOfflineArticles().then(articles => {
+        event.ports[0].postMessage({ articles });
+      })
+    );
+  }
+
+  if (event.data && SAVED_ARTICLE_MESSAGES.includes(event.data.type)) {
+    event.waitUntil(
+      handleSavedArticleMessage(event.data).then(reply => {
+        if (event.ports[0]) {
+          event.ports[0].postMessage(reply);
+        }
+      })
+    );
+  }
 });
 
+// The response cached for the request, looking in this worker's precache first and then in
+// the runtime and saved caches, but never in another build's precache
+async function matchCache(request) {
+  const names = (await caches.keys())
+    .filter(name => name !== PRECACHE && !name.startsWith(PRECACHE_PREFIX));
+
+  for (const name of [PRECACHE, ...names]) {
+    const response = await (await caches.open(name)).match(request);
+    if (response) return response;
+  }
+  return undefined;
+}
+
 /**
  * Cache First Strategy
  * Try cache first, fall back to network
  */
-async function cacheFirst(request) {
+async function cacheFirst(request, { cache: cacheName = RUNTIME_CACHE } = {}) {
   try {
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchCache(request);
     if (cachedResponse) {
+      markUsed(request);
       return cachedResponse;
     }
     
     const networkResponse = await fetch(request);
     if (networkResponse.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, networkResponse.clone());
+      putInCache(cacheName, request, networkResponse.clone());
     }
     
     return networkResponse;
@@ -128,61 +256,120 @@ async function cacheFirst(request) {
 
 /**
  * Network First Strategy
- * Try network first, fall back to cache
+ * Try network first, fall back to cache. With a timeout, a slow network falls back to
+ * the cache early; the response still refreshes the cache when it arrives. Navigations
+ * use the navigation preload response, which the browser requested while the worker
+ * was starting.
  */
-async function networkFirst(request) {
-  try {
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      // Cache successful network responses
-      const cache = await caches.open(RUNTIME_CACHE);
-      cache.put(request, networkResponse.clone());
+async function networkFirst(request, { cache: cacheName = RUNTIME_CACHE, timeout, fallback } = {}, event) {
+  const network = Promise.resolve(event && preloadedResponse(event))
+    .then(preloaded => preloaded || fetch(request))
+    .then(networkResponse => {
+      if (networkResponse.ok) {
+        putInCache(cacheName, request, networkResponse.clone());
+      }
       return networkResponse;
-    }
-    
-    // If network fails, try cache
-    const cachedResponse = await caches.match(request);
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-    
-    // If both fail and it's an HTML request, serve offline page
-    if (isHTMLRequest(request)) {
-      return caches.match('/offline.html');
-    }
-    
-    return networkResponse;
+    });
+  const settled = network.then(response => ({ response }), error => ({ error }));
+
+  if (event) {
+    event.waitUntil(settled);
+  }
+
+  // Undefined when the timeout wins
+  let result = await (timeout
+    ? Promise.race([settled, new Promise(resolve => setTimeout(resolve, timeout * 1000))])
+    : settled);
+
+  if (result && result.response && result.response.ok) {
+    return result.response;
+  }
+
+  const cachedResponse = await matchCache(request);
+  if (cachedResponse) {
+    markUsed(request);
+    return cachedResponse;
+  }
+
+  // Nothing cached: wait for the network after all
+  result = result || await settled;
+  if (result.response) {
+    return result.response;
+  }
+
+  console.error('Network First strategy failed:', result.error);
+  const fallbackResponse = fallback && await matchCache(fallback);
+  return fallbackResponse || new Response('Network error', { status: 408 });
+}
+
+async function networkOnly(request) {
+  try {
+    return await fetch(request);
   } catch (error) {
-    console.error('Network First strategy failed:', error);
-    
-    // Try cache when network fails
-    const cachedResponse = await caches.match(request);
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-    
-    // Serve offline page for HTML requests
-    if (isHTMLRequest(request)) {
-      return caches.match('/offline.html');
-    }
-    
     return new Response('Network error', { status: 408 });
   }
 }
 
+// Looks only in the route's cache when it names one
+async function cacheOnly(request, { cache: cacheName } = {}) {
+  const cachedResponse = cacheName
+    ? await (await caches.open(cacheName)).match(request)
+    : await matchCache(request);
+
+  if (cachedResponse) {
+    markUsed(request);
+    return cachedResponse;
+  }
+  return new Response('Not cached', { status: 504 });
+}
+
+// Resolves to the navigation preload response, or undefined when preload is off
+function preloadedResponse(event) {
+  if (!event.preloadResponse) return undefined;
+
+  // Keep the worker alive until the preload settles, even when the response isn't used
+  event.waitUntil(event.preloadResponse.catch(() => {}));
+  return event.preloadResponse;
+}
+
+async function enableNavigationPreload() {
+  if (self.registration.navigationPreload) {
+    await self.registration.navigationPreload.enable();
+  }
+}
+
+// Caches with limits go through their CacheExpiration; failures never break the response
+function putInCache(cacheName, request, response) {
+  const expiration = CACHE_EXPIRATION[cacheName];
+  const stored = expiration
+    ? expiration.put(request, response)
+    : caches.open(cacheName).then(cache => cache.put(request, response));
+
+  return stored.catch(error => {
+    console.error('Service Worker: Caching failed:', request.url, error);
+  });
+}
+
+// Refreshes the LRU timestamp wherever the runtime caches hold the request
+function markUsed(request) {
+  return Promise.all(Object.values(CACHE_EXPIRATION).map(expiration => expiration.touch(request.url)));
+}
+
 /**
  * Stale While Revalidate Strategy
  * Serve from cache while updating cache in background
  */
-async function staleWhileRevalidate(request) {
-  const cache = await caches.open(RUNTIME_CACHE);
-  const cachedResponse = await cache.match(request);
+async function staleWhileRevalidate(request, { cache: cacheName = RUNTIME_CACHE } = {}, event) {
+  // Any cache will do: the image may belong to a saved article
+  const cachedResponse = await matchCache(request);
+  if (cachedResponse) {
+    markUsed(request);
+  }
   
   const fetchPromise = fetch(request)
     .then(networkResponse => {
       if (networkResponse.ok) {
-        cache.put(request, networkResponse.clone());
+        putInCache(cacheName, request, networkResponse.clone());
       }
       return networkResponse;
     })
@@ -190,135 +377,507 @@ async function staleWhileRevalidate(request) {
       console.error('Stale While Revalidate fetch failed:', error);
       return cachedResponse; // Return cached version if network fails
     });
+
+  if (event) {
+    event.waitUntil(fetchPromise);
+  }
   
   // Return cached version immediately if available, otherwise wait for network
   return cachedResponse || fetchPromise;
 }
 
 /**
- * Utility Functions
+ * Precache
+ * Fills this build's precache. Entries whose revision matches one recorded by an earlier
+ * build's precache are copied from it; only new or changed entries are downloaded. An entry
+ * that fails to download falls back to its old copy under its old revision (so the next
+ * build retries it) instead of failing the whole install.
+ */
+async function precacheAssets() {
+  const cache = await caches.open(PRECACHE);
+  const sources = [cache, ...await previousPrecaches()];
+  const sourceRevisions = await Promise.all(sources.map(readPrecacheRevisions));
+
+  // The cached copy of url at revision from any of the sources (any revision when omitted)
+  const findCached = async (url, revision) => {
+    for (const [index, source] of sources.entries()) {
+      const cachedRevision = sourceRevisions[index][url];
+      if (!cachedRevision || (revision && cachedRevision !== revision)) continue;
+
+      const response = await source.match(url);
+      if (response) return { response, revision: cachedRevision };
+    }
+    return null;
+  };
+
+  const results = await Promise.allSettled(PRECACHE_MANIFEST.map(async ({ url, revision }) => {
+    const cached = await findCached(url, revision);
+    if (cached) {
+      await cache.put(url, cached.response);
+      return false;
+    }
+
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`${url} failed with status ${response.status}`);
+    }
+    await cache.put(url, response);
+    return true;
+  }));
+
+  const revisions = {};
+  let updated = 0;
+
+  for (const [index, result] of results.entries()) {
+    const { url, revision } = PRECACHE_MANIFEST[index];
+
+    if (result.status === 'fulfilled') {
+      revisions[url] = revision;
+      if (result.value) updated++;
+      continue;
+    }
+
+    console.warn('Service Worker: Precaching failed:', result.reason);
+    const stale = await findCached(url);
+    if (stale) {
+      await cache.put(url, stale.response);
+      revisions[url] = stale.revision;
+    }
+  }
+
+  await cache.put(PRECACHE_REVISIONS_URL, new Response(JSON.stringify(revisions), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+
+  console.log(`Service Worker: Precached ${updated} new or changed of ${PRECACHE_MANIFEST.length} entries`);
+}
+
+// Precaches left by earlier builds; activate deletes them once this worker takes over
+async function previousPrecaches() {
+  const names = (await caches.keys())
+    .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE);
+  return Promise.all(names.map(name => caches.open(name)));
+}
+
+async function readPrecacheRevisions(cache) {
+  try {
+    const response = await cache.match(PRECACHE_REVISIONS_URL);
+    return response ? await response.json() : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Search Index
+ * The manifest is served stale-while-revalidate from its own cache. A new build changes
+ * the manifest's content hash; only then are the new shards downloaded and the manifest
+ * swapped. The previous generation of shards is kept so that pages still reading the old
+ * manifest can finish loading; anything older is deleted.
+ */
+async function serveSearchIndex(event) {
+  const cache = await caches.open(SEARCH_INDEX_CACHE);
+  const cachedResponse = await cache.match(SEARCH_INDEX_URL);
+  const update = updateSearchIndex();
+
+  if (cachedResponse) {
+    event.waitUntil(update);
+    return cachedResponse;
+  }
+
+  await update;
+  return (await cache.match(SEARCH_INDEX_URL)) ||
+    new Response('Search index unavailable', { status: 503 });
+}
+
+let searchIndexUpdate = null;
+
+function updateSearchIndex() {
+  // Concurrent page loads share a single revalidation
+  if (!searchIndexUpdate) {
+    searchIndexUpdate = revalidateSearchIndex().finally(() => {
+      searchIndexUpdate = null;
+    });
+  }
+  return searchIndexUpdate;
+}
+
+async function revalidateSearchIndex() {
+  try {
+    const response = await fetch(SEARCH_INDEX_URL, { cache: 'no-cache' });
+    if (!response.ok) return false;
+
+    const manifest = await response.clone().json();
+    const cache = await caches.open(SEARCH_INDEX_CACHE);
+    const currentResponse = await cache.match(SEARCH_INDEX_URL);
+    const current = currentResponse ? await currentResponse.json() : null;
+
+    if (current && manifest.hash && manifest.hash === current.hash) return false;
+
+    const indexURL = new URL(SEARCH_INDEX_URL, self.location).href;
+    const shardURLs = (manifest.shards || []).map(shard => new URL(shard, indexURL).href);
+    const previousShardURLs = ((current && current.shards) || []).map(shard => new URL(shard, indexURL).href);
+
+    await Promise.all(shardURLs.map(async shardURL => {
+      if (await cache.match(shardURL)) return;
+
+      const shardResponse = await fetch(shardURL);
+      if (!shardResponse.ok) {
+        throw new Error(`Shard ${shardURL} failed with status ${shardResponse.status}`);
+      }
+      await cache.put(shardURL, shardResponse);
+    }));
+
+    await cache.put(SEARCH_INDEX_URL, response);
+
+    const keep = new Set([indexURL, ...shardURLs, ...previousShardURLs]);
+    const requests = await cache.keys();
+    await Promise.all(requests
+      .filter(request => !keep.has(request.url))
+      .map(request => cache.delete(request)));
+
+    if (current) {
+      console.log('Service Worker: Search index updated to', manifest.hash);
+      await notifyClients({ type: 'SEARCH_INDEX_UPDATED', hash: manifest.hash });
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Service Worker: Search index update failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Saved Articles
+ * Articles the reader saves for offline reading are pinned in their own cache, which no
+ * cleanup touches. The HTML and the resources the page reported (images, highlighting
+ * assets) are stored together; a resource shared by several articles is only deleted
+ * once no saved article refers to it.
+ */
+const SAVED_ARTICLE_MESSAGES = ['SAVE_ARTICLE', 'REMOVE_SAVED_ARTICLE', 'CLEAR_SAVED_ARTICLES', 'GET_SAVED_ARTICLES'];
+
+// Every action replies with the resulting list so the page always shows the real cache state
+async function handleSavedArticleMessage({ type, article, url }) {
+  let error = null;
+
+  try {
+    if (type === 'SAVE_ARTICLE') {
+      await saveArticle(article);
+    } else if (type === 'REMOVE_SAVED_ARTICLE') {
+      await removeSavedArticles([url]);
+    } else if (type === 'CLEAR_SAVED_ARTICLES') {
+      await removeSavedArticles();
+    }
+  } catch (err) {
+    console.error('Service Worker: Saved article update failed:', err);
+    error = err.message;
+  }
+
+  const articles = await getSavedArticles();
+  if (type !== 'GET_SAVED_ARTICLES') {
+    await notifyClients({ type: 'SAVED_ARTICLES_CHANGED', articles });
+  }
+
+  return { articles, error };
+}
+
+async function saveArticle({ url, title, resources = [] }) {
+  const cache = await caches.open(SAVED_CACHE);
+  const pageURL = savedArticleKey(url);
+
+  const page = await fetchForSaving(pageURL);
+  if (!page) {
+    throw new Error(`${pageURL} could not be downloaded`);
+  }
+
+  const resourceURLs = [...new Set(resources.map(resource => new URL(resource, pageURL).href))];
+  const downloads = await Promise.all(resourceURLs.map(fetchForSaving));
+
+  let size = 0;
+  const saved = [];
+
+  for (const [index, response] of [page, ...downloads].entries()) {
+    if (!response) continue;
+
+    const resourceURL = index === 0 ? pageURL : resourceURLs[index - 1];
+    // Opaque cross-origin responses don't expose their size
+    size += response.type === 'opaque' ? 0 : (await response.clone().blob()).size;
+    await cache.put(resourceURL, response);
+    if (index > 0) saved.push(resourceURL);
+  }
+
+  const records = await readSavedArticleRecords(cache);
+  records[pageURL] = {
+    url: pageURL,
+    title: title || new URL(pageURL).pathname,
+    savedAt: new Date().toISOString(),
+    size,
+    resources: saved
+  };
+  await writeSavedArticleRecords(cache, records);
+}
+
+// Downloads a fresh copy, falling back to whatever is already cached (e.g. while offline)
+async function fetchForSaving(url) {
+  const sameOrigin = new URL(url).origin === location.origin;
+
+  try {
+    const response = await fetch(new Request(url, sameOrigin ? { cache: 'no-cache' } : { mode: 'no-cors' }));
+    if (response.ok || response.type === 'opaque') {
+      return response;
+    }
+  } catch (error) {
+    // Offline: try the caches below
+  }
+
+  return (await matchCache(url)) || null;
+}
+
+// Removes the given articles, or all of them when no list is passed
+async function removeSavedArticles(urls) {
+  const cache = await caches.open(SAVED_CACHE);
+  const records = await readSavedArticleRecords(cache);
+
+  Object.keys(records).forEach(key => {
+    if (!urls || urls.some(url => savedArticleKey(url) === key)) {
+      delete records[key];
+    }
+  });
+
+  await writeSavedArticleRecords(cache, records);
+
+  const keep = new Set([new URL(SAVED_ARTICLES_URL, self.location).href]);
+  Object.values(records).forEach(record => {
+    keep.add(record.url);
+    record.resources.forEach(resource => keep.add(resource));
+  });
+
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => !keep.has(request.url))
+    .map(request => cache.delete(request)));
+}
+
+async function getSavedArticles() {
+  const records = await readSavedArticleRecords(await caches.open(SAVED_CACHE));
+
+  return Object.values(records)
+    .map(({ resources, ...article }) => ({ ...article, path: new URL(article.url).pathname }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+async function readSavedArticleRecords(cache) {
+  try {
+    const response = await cache.match(SAVED_ARTICLES_URL);
+    return response ? await response.json() : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeSavedArticleRecords(cache, records) {
+  return cache.put(SAVED_ARTICLES_URL, new Response(JSON.stringify(records), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+// Absolute URL without query string or fragment
+function savedArticleKey(url) {
+  const key = new URL(url, self.location);
+  key.search = '';
+  key.hash = '';
+  return key.href;
+}
+
+async function savedOrNetwork(request) {
+  const cache = await caches.open(SAVED_CACHE);
+  return (await cache.match(request)) || fetch(request);
+}
+
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+  windowClients.forEach(client => client.postMessage(message));
+}
+
+// Paths of the pages available offline: pages visited lately (the pages cache only
+// holds documents, see ROUTES) and saved articles. The precache is left out, it holds
+// every post whether or not the reader has been there.
+async function getCachedArticleURLs() {
+  const [pageRequests, saved] = await Promise.all([
+    caches.open(PAGES_CACHE).then(cache => cache.keys()),
+    getSavedArticles()
+  ]);
+  const paths = new Set(pageRequests.map(request => new URL(request.url).pathname));
+  saved.forEach(article => paths.add(article.path));
+
+  return Array.from(paths);
+}
+
+/**
+ * Offline Page
+ * Lists the cached pages with their title, date and excerpt. The cached search index
+ * describes every post and page; anything it doesn't cover (or everything, when the
+ * index isn't cached) is described from the cached HTML instead.
  */
+async function getOfflineArticles() {
+  const [paths, documents, saved] = await Promise.all([
+    getCachedArticleURLs(),
+    readCachedSearchDocuments(),
+    getSavedArticles()
+  ]);
+  const documentsByPath = new Map(documents.map(doc => [doc.url, doc]));
+  const savedPaths = new Set(saved.map(article => article.path));
+
+  return Promise.all(paths
+    .filter(path => path !== '/offline.html')
+    .map(async path => {
+      const doc = documentsByPath.get(path);
+      const details = doc
+        ? { title: doc.title, date: doc.date, excerpt: doc.excerpt }
+        : await describeCachedPage(path);
 
-function isStaticAsset(request) {
-  return request.url.includes('/assets/') || 
-         request.url.includes('.css') || 
-         request.url.includes('.js') ||
-         request.url.includes('manifest.json');
+      return { path, ...details, saved: savedPaths.has(path) };
+    }));
 }
 
-function isHTMLRequest(request) {
-  return request.headers.get('Accept').includes('text/html');
+async function readCachedSearchDocuments() {
+  try {
+    const cache = await caches.open(SEARCH_INDEX_CACHE);
+    const response = await cache.match(SEARCH_INDEX_URL);
+    return response ? (await response.json()).documents || [] : [];
+  } catch (error) {
+    return [];
+  }
 }
 
-function isImageRequest(request) {
-  return request.headers.get('Accept').includes('image/') ||
-         request.url.match(/\.(jpg|jpeg|png|gif|webp|svg)$/i);
+// Title and description from the page's meta tags (see jekyll-seo-tag's output)
+async function describeCachedPage(path) {
+  const response = await matchCache(path);
+  const html = response ? await response.text() : '';
+  const meta = name => {
+    const match = html.match(new RegExp(`<meta (?:name|property)="${name}" content="([^"]*)"`, 'i'));
+    return match ? decodeEntities(match[1]) : '';
+  };
+  const title = html.match(/<title>([^<]*)<\/title>/i);
+
+  return {
+    title: meta('og:title') || (title ? decodeEntities(title[1]).trim() : path),
+    date: meta('article:published_time').slice(0, 10) || null,
+    excerpt: meta('description')
+  };
 }
 
-function isAPIRequest(request) {
-  return request.url.includes('/api/') || 
-         request.url.includes('.json');
+function decodeEntities(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", '#x27': "'" };
+  return text.replace(/&(amp|lt|gt|quot|#39|#x27);/g, (match, name) => entities[name]);
 }
 
 /**
- * Background Sync (for future use)
+ * Background Sync
+ * Replays the form submissions queued in the outbox. Rejecting while entries remain makes
+ * the browser schedule another sync with its own backoff; on the last attempt the entries
+ * stay queued for the page to retry on its next visit.
  */
 self.addEventListener('sync', event => {
-  if (event.tag === 'background-sync') {
-    event.waitUntil(doBackgroundSync());
+  if (event.tag === Outbox.SYNC_TAG) {
+    event.waitUntil(doBackgroundSync(event));
   }
 });
 
-async function doBackgroundSync() {
-  // Placeholder for background sync functionality
-  // Could be used for sending analytics data, form submissions, etc.
-  console.log('Background sync triggered');
+async function doBackgroundSync(event) {
+  // The browser already spaces out sync events, so don't wait for our own retry delay
+  const { sent, dropped, pending } = await Outbox.flush({ force: true });
+  console.log(`Service Worker: Outbox sent ${sent.length}, dropped ${dropped.length}, ${pending} pending`);
+
+  if (sent.length || dropped.length) {
+    await notifyClients({ type: 'OUTBOX_FLUSHED', sent, dropped, pending });
+  }
+
+  if (pending && !event.lastChance) {
+    throw new Error(`${pending} queued submissions could not be sent yet`);
+  }
 }
 
 /**
- * Push Notifications (for future use)
+ * Push Notifications
+ * Payloads are JSON: { title, body, url, image, tag }. Plain-text payloads from older
+ * senders become the body. Clicking the notification (or "Read Article") opens the
+ * article, focusing a tab that already shows it.
  */
 self.addEventListener('push', event => {
-  if (event.data) {
-    const options = {
-      body: event.data.text(),
-      icon: '/assets/icons/icon-192.png',
-      badge: '/assets/icons/badge-72.png',
-      vibrate: [100, 50, 100],
-      data: {
-        dateOfArrival: Date.now(),
-        primaryKey: '2'
+  const payload = parsePushPayload(event.data);
+
+  const options = {
+    body: payload.body || '',
+    icon: '/assets/icons/icon-192.png',
+    badge: '/assets/icons/badge-72.png',
+    vibrate: [100, 50, 100],
+    data: {
+      dateOfArrival: Date.now(),
+      url: payload.url || '/'
+    },
+    actions: [
+      {
+        action: 'explore',
+        title: 'Read Article',
+        icon: '/assets/icons/checkmark.png'
       },
-      actions: [
-        {
-          action: 'explore',
-          title: 'Read Article',
-          icon: '/assets/icons/checkmark.png'
-        },
-        {
-          action: 'close',
-          title: 'Close',
-          icon: '/assets/icons/xmark.png'
-        }
-      ]
-    };
-    
-    event.waitUntil(
-      self.registration.showNotification('New Article Available!', options)
-    );
+      {
+        action: 'close',
+        title: 'Close',
+        icon: '/assets/icons/xmark.png'
+      }
+    ]
+  };
+
+  if (payload.image) {
+    options.image = payload.image;
+  }
+
+  // A newer notification with the same tag replaces the old one
+  if (payload.tag) {
+    options.tag = payload.tag;
+    options.renotify = true;
   }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'New Article Available!', options)
+  );
 });
 
+function parsePushPayload(data) {
+  if (!data) return {};
+
+  try {
+    const payload = data.json();
+    return payload && typeof payload === 'object' ? payload : { body: String(payload) };
+  } catch (error) {
+    return { body: data.text() };
+  }
+}
+
 self.addEventListener('notificationclick', event => {
   event.notification.close();
-  
-  if (event.action === 'explore') {
-    // Open the article
-    event.waitUntil(
-      clients.openWindow('/')
-    );
-  } else if (event.action === 'close') {
-    // Just close the notification
+
+  // Just close the notification
+  if (event.action === 'close') {
     return;
-  } else {
-    // Default action - open the site
-    event.waitUntil(
-      clients.openWindow('/')
-    );
   }
-});
 
-/**
- * Cache Management
- */
+  // "Read Article" and clicks on the notification itself open the article
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil(openOrFocus(new URL(url, self.location).href));
+});
 
-// Periodic cleanup of old cache entries
-setInterval(() => {
-  cleanupOldCacheEntries();
-}, 24 * 60 * 60 * 1000); // Run daily
+async function openOrFocus(url) {
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windowClients.find(client => client.url === url);
 
-async function cleanupOldCacheEntries() {
-  try {
-    const cache = await caches.open(RUNTIME_CACHE);
-    const requests = await cache.keys();
-    const now = Date.now();
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    
-    for (const request of requests) {
-      const response = await cache.match(request);
-      const dateHeader = response.headers.get('date');
-      
-      if (dateHeader) {
-        const responseDate = new Date(dateHeader).getTime();
-        if (now - responseDate > maxAge) {
-          await cache.delete(request);
-          console.log('Deleted old cache entry:', request.url);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Cache cleanup failed:', error);
+  if (existing) {
+    return existing.focus();
   }
+  return self.clients.openWindow(url);
 }
 
 console.log('Service Worker: Loaded');
\ No newline at end of file
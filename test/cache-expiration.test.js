@@ -0,0 +1,154 @@
+/**
+ * Cache Expiration tests
+ * Run with `npm run test:unit`. The Cache Storage and IndexedDB stand-ins below keep
+ * responses and metadata in Maps and implement just the calls CacheExpiration makes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CacheExpiration = require('../assets/js/cache-expiration.js');
+
+const ORIGIN = 'https://blog.example';
+const SECOND = 1000;
+
+// caches.open(name) with put, match, keys and delete; requests are URLs or { url }
+const fakeCaches = () => {
+  const stores = new Map();
+  const urlOf = request => (typeof request === 'string' ? new URL(request, ORIGIN).href : request.url);
+
+  return {
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const responses = stores.get(name);
+      return {
+        put: async (request, response) => { responses.set(urlOf(request), response); },
+        match: async request => responses.get(urlOf(request)),
+        keys: async () => Array.from(responses.keys(), url => ({ url })),
+        delete: async request => responses.delete(urlOf(request))
+      };
+    }
+  };
+};
+
+// The entries object store: requests answer synchronously, as if the transaction completed
+const fakeStore = () => {
+  const entries = new Map();
+  const request = result => {
+    const pending = { result };
+    queueMicrotask(() => pending.onsuccess && pending.onsuccess());
+    return pending;
+  };
+
+  return {
+    entries,
+    get: id => request(entries.get(id)),
+    put: entry => request(entries.set(entry.id, { ...entry }) && entry.id),
+    delete: id => request(entries.delete(id)),
+    index: () => ({
+      getAll: cacheName => request([...entries.values()].filter(entry => entry.cacheName === cacheName))
+    })
+  };
+};
+
+const setup = (t, { now = 0 } = {}) => {
+  const store = fakeStore();
+  const clock = { now };
+
+  global.caches = fakeCaches();
+  t.mock.method(Date, 'now', () => clock.now);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(CacheExpiration, 'transaction', async (mode, fn) => {
+    const request = fn(store);
+    await new Promise(resolve => setTimeout(resolve));
+    return request && request.result;
+  });
+
+  return { store, clock };
+};
+
+// Waits for the cleanup that put starts, and the follow-up it may have queued
+const settle = async expiration => {
+  while (expiration.runningCleanup) await expiration.runningCleanup;
+};
+
+const cachedURLs = async name => (await (await caches.open(name)).keys()).map(request => new URL(request.url).pathname);
+
+test('evict: keeps the most recently used entries within maxEntries', async (t) => {
+  const { clock } = setup(t);
+  const expiration = new CacheExpiration('pages', { maxEntries: 2 });
+
+  for (const path of ['/a/', '/b/', '/c/']) {
+    clock.now += SECOND;
+    await expiration.put({ url: `${ORIGIN}${path}` }, new Response(path));
+    await settle(expiration);
+  }
+  assert.deepStrictEqual(await cachedURLs('pages'), ['/b/', '/c/']);
+
+  clock.now += SECOND;
+  await expiration.touch(`${ORIGIN}/b/`);
+  clock.now += SECOND;
+  await expiration.put({ url: `${ORIGIN}/d/` }, new Response('/d/'));
+  await settle(expiration);
+
+  assert.deepStrictEqual(await cachedURLs('pages'), ['/b/', '/d/']);
+});
+
+test('evict: drops least recently used entries beyond maxBytes', async (t) => {
+  const { clock } = setup(t);
+  const expiration = new CacheExpiration('images', { maxBytes: 10 });
+
+  for (const [path, bytes] of [['/a.png', 4], ['/b.png', 4], ['/c.png', 4]]) {
+    clock.now += SECOND;
+    await expiration.put({ url: `${ORIGIN}${path}` }, new Response('x'.repeat(bytes)));
+    await settle(expiration);
+  }
+
+  assert.deepStrictEqual(await cachedURLs('images'), ['/b.png', '/c.png']);
+});
+
+test('evict: removes entries stored longer than maxAgeSeconds ago, however recently used', async (t) => {
+  const { clock, store } = setup(t);
+  const expiration = new CacheExpiration('pages', { maxAgeSeconds: 60 });
+
+  await expiration.put({ url: `${ORIGIN}/old/` }, new Response('old'));
+  clock.now += 30 * SECOND;
+  await expiration.put({ url: `${ORIGIN}/new/` }, new Response('new'));
+  await settle(expiration);
+
+  clock.now += 40 * SECOND;
+  await expiration.touch(`${ORIGIN}/old/`);
+  assert.strictEqual(await expiration.evict(), 1);
+
+  assert.deepStrictEqual(await cachedURLs('pages'), ['/new/']);
+  assert.deepStrictEqual([...store.entries.keys()], [`pages ${ORIGIN}/new/`]);
+});
+
+test('evict: adopts responses cached without metadata and forgets metadata without a response', async (t) => {
+  const { store } = setup(t, { now: 5 * SECOND });
+  const expiration = new CacheExpiration('pages', { maxEntries: 5 });
+  const cache = await caches.open('pages');
+
+  await cache.put(`${ORIGIN}/legacy/`, new Response('legacy'));
+  store.entries.set(`pages ${ORIGIN}/gone/`, { id: `pages ${ORIGIN}/gone/`, cacheName: 'pages', url: `${ORIGIN}/gone/` });
+
+  assert.strictEqual(await expiration.evict(), 0);
+  assert.deepStrictEqual([...store.entries.values()], [{
+    id: `pages ${ORIGIN}/legacy/`,
+    cacheName: 'pages',
+    url: `${ORIGIN}/legacy/`,
+    size: 6,
+    storedAt: 5 * SECOND,
+    lastUsedAt: 5 * SECOND
+  }]);
+});
+
+test('transaction: an aborted transaction rejects', async (t) => {
+  const transaction = { objectStore: () => ({ put: () => ({}) }) };
+  t.mock.method(CacheExpiration, 'open', async () => ({ transaction: () => transaction }));
+
+  const result = CacheExpiration.transaction('readwrite', store => store.put({ id: 'a' }));
+  await new Promise(resolve => setTimeout(resolve));
+  transaction.onabort();
+
+  await assert.rejects(result, { name: 'AbortError' });
+});
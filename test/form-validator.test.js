@@ -0,0 +1,168 @@
+/**
+ * Form Validator tests
+ * Run with `npm run test:unit`. Fields are plain objects with just the properties and
+ * attribute methods the validator reads; error messages are kept in a map by id, which
+ * stands in for document.getElementById.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FormValidator = require('../assets/js/form-validator.js');
+
+const errorElements = new Map();
+global.document = {
+  getElementById: id => errorElements.get(id) || null,
+  createElement: () => {
+    const element = { id: '', textContent: '', remove: () => errorElements.delete(element.id) };
+    return element;
+  }
+};
+
+// A field labelled "<label> *" with the given attributes; properties mirror them like the DOM
+const field = ({ label, value = '', type = 'text', ...attributes }) => {
+  const attrs = { ...attributes };
+  const element = {
+    name: attrs.name,
+    type,
+    value,
+    required: 'required' in attrs,
+    title: attrs.title || '',
+    placeholder: '',
+    disabled: false,
+    dataset: {},
+    labels: [{ textContent: `${label} *` }],
+    checkValidity: () => true,
+    getAttribute: name => (name in attrs ? String(attrs[name]) : null),
+    setAttribute: (name, newValue) => { attrs[name] = String(newValue); },
+    removeAttribute: name => { delete attrs[name]; },
+    closest: () => null,
+    after: error => errorElements.set(error.id, error),
+    focus: () => { element.form.focused = element; }
+  };
+  return element;
+};
+
+// A validator for a form with the given fields plus a honeypot
+const validatorFor = (fields, options = { minSubmitTime: 0 }) => {
+  const honeypot = field({ label: 'Leave this field empty', name: 'website_url' });
+  const elements = Object.assign([...fields, honeypot], Object.fromEntries(fields.map(f => [f.name, f])));
+  const form = {
+    id: 'contact',
+    dataset: {},
+    elements,
+    getAttribute: () => null,
+    addEventListener: () => {},
+    querySelector: selector => (selector === '[data-honeypot]' ? honeypot : null)
+  };
+  elements.forEach(element => { element.form = form; });
+
+  return { validator: new FormValidator(form, options), form, honeypot };
+};
+
+const jsonResponse = body => new Response(JSON.stringify(body), {
+  status: 422,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+test('check: reports the first failing rule with the field label', () => {
+  const { validator } = validatorFor([]);
+
+  assert.strictEqual(validator.check(field({ label: 'Name', name: 'name', required: '' })), 'Name is required.');
+  assert.strictEqual(
+    validator.check(field({ label: 'Email', name: 'email', type: 'email', value: 'name@example' })),
+    'Email must be an email address, like name@example.com.'
+  );
+  assert.strictEqual(
+    validator.check(field({ label: 'Website', name: 'website', type: 'url', value: 'ftp://example.com' })),
+    'Website must be a web address starting with https://.'
+  );
+  assert.strictEqual(
+    validator.check(field({ label: 'Message', name: 'message', value: 'Too short', minlength: 20 })),
+    'Message must be at least 20 characters (it has 9).'
+  );
+  assert.strictEqual(
+    validator.check(field({ label: 'Zip', name: 'zip', value: 'abc', pattern: '\\d{5}', title: 'Five digits' })),
+    'Zip: Five digits'
+  );
+});
+
+test('check: passes valid values and skips optional empty fields', () => {
+  const { validator } = validatorFor([]);
+
+  assert.strictEqual(validator.check(field({ label: 'Email', name: 'email', type: 'email', value: 'name@example.com' })), null);
+  assert.strictEqual(validator.check(field({ label: 'Website', name: 'website', type: 'url' })), null);
+  assert.strictEqual(validator.check(field({ label: 'Zip', name: 'zip', pattern: '\\d{5}' })), null);
+});
+
+test('check: data-validate-* rules and data-message-* overrides', () => {
+  const password = field({ label: 'Password', name: 'password', value: 'secret' });
+  const confirmation = field({
+    label: 'Confirm password',
+    name: 'confirmation',
+    value: 'secrte',
+    'data-validate-match': 'password'
+  });
+  const message = field({
+    label: 'Message',
+    name: 'message',
+    value: 'Only three words',
+    'data-validate-min-words': 4,
+    'data-message-min-words': 'Please tell us a little more.'
+  });
+  const { validator } = validatorFor([password, confirmation, message]);
+
+  assert.strictEqual(validator.check(confirmation), 'Confirm password must match Password.');
+  assert.strictEqual(validator.check(message), 'Please tell us a little more.');
+
+  confirmation.value = 'secret';
+  assert.strictEqual(validator.check(confirmation), null);
+});
+
+test('showServerErrors: shows messages on their fields and returns the rest', async () => {
+  const name = field({ label: 'Name', name: 'name' });
+  const email = field({ label: 'Email', name: 'email', type: 'email' });
+  const { validator, form } = validatorFor([name, email]);
+
+  const unmatched = await validator.showServerErrors(jsonResponse({
+    errors: [{ path: 'email', msg: 'Already used' }, { field: 'captcha', message: 'Try again later' }]
+  }));
+
+  assert.deepStrictEqual(unmatched, ['Try again later']);
+  assert.strictEqual(errorElements.get('contact-email-error').textContent, 'Already used');
+  assert.strictEqual(email.getAttribute('aria-invalid'), 'true');
+  assert.strictEqual(email.getAttribute('aria-describedby'), 'contact-email-error');
+  assert.strictEqual(name.getAttribute('aria-invalid'), null);
+  assert.strictEqual(form.focused, email);
+});
+
+test('showServerErrors: accepts an object of messages or message lists', async () => {
+  const email = field({ label: 'Email', name: 'email', type: 'email' });
+  const { validator } = validatorFor([email]);
+
+  assert.deepStrictEqual(await validator.showServerErrors(jsonResponse({ errors: { email: ['Invalid', 'domain'] } })), []);
+  assert.strictEqual(errorElements.get('contact-email-error').textContent, 'Invalid domain');
+});
+
+test('showServerErrors: replies without errors change nothing', async () => {
+  const email = field({ label: 'Email', name: 'email', type: 'email' });
+  const { validator } = validatorFor([email]);
+  errorElements.clear();
+
+  assert.deepStrictEqual(await validator.showServerErrors(new Response('Bad gateway', { status: 502 })), []);
+  assert.deepStrictEqual(await validator.showServerErrors(jsonResponse({ message: 'Invalid' })), []);
+  assert.strictEqual(errorElements.size, 0);
+});
+
+test('isLikelySpam: a filled honeypot or a submission that came too fast', (t) => {
+  t.mock.method(Date, 'now', () => 10000);
+  const { validator, honeypot } = validatorFor([], { minSubmitTime: 3 });
+
+  Date.now.mock.mockImplementation(() => 12000);
+  assert.strictEqual(validator.isLikelySpam(), true);
+
+  Date.now.mock.mockImplementation(() => 14000);
+  assert.strictEqual(validator.isLikelySpam(), false);
+
+  honeypot.value = 'https://spam.example';
+  assert.strictEqual(validator.isLikelySpam(), true);
+});
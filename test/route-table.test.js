@@ -0,0 +1,110 @@
+/**
+ * Route Table tests
+ * Run with `npm run test:unit`. Requests are plain { url, destination } objects, the two
+ * fields the table reads.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RouteTable = require('../assets/js/route-table.js');
+
+const ORIGIN = 'https://blog.example';
+const STRATEGIES = ['cache-first', 'network-first', 'network-only'];
+
+const request = (path, destination = '') => ({ url: new URL(path, ORIGIN).href, destination });
+
+// Name of the strategy serving the request, or null when no route matches
+const strategyFor = (routes, req) => {
+  const route = new RouteTable(routes, { origin: ORIGIN, strategies: STRATEGIES }).match(req);
+  return route ? route.strategy : null;
+};
+
+test('globs: * and ? stay within a path segment, ** crosses them', () => {
+  assert.ok(RouteTable.globToRegExp('/assets/*.js').test('/assets/main.js'));
+  assert.ok(!RouteTable.globToRegExp('/assets/*.js').test('/assets/js/main.js'));
+  assert.ok(RouteTable.globToRegExp('/assets/**').test('/assets/js/vendor/prism.js'));
+  assert.ok(RouteTable.globToRegExp('/assets/**/*.css').test('/assets/style.css'));
+  assert.ok(RouteTable.globToRegExp('/assets/**/*.css').test('/assets/css/theme/dark.css'));
+  assert.ok(RouteTable.globToRegExp('/v?/api').test('/v2/api'));
+  assert.ok(!RouteTable.globToRegExp('/v?/api').test('/v10/api'));
+});
+
+test('globs: regular expression characters are matched literally', () => {
+  assert.ok(RouteTable.globToRegExp('/search-index.json').test('/search-index.json'));
+  assert.ok(!RouteTable.globToRegExp('/search-index.json').test('/search-indexXjson'));
+  assert.ok(RouteTable.globToRegExp('/(draft)/[1]+').test('/(draft)/[1]+'));
+});
+
+test('path matches the pathname only, ignoring the query string', () => {
+  const routes = [{ match: { path: '/api/**' }, strategy: 'network-only' }];
+  assert.strictEqual(strategyFor(routes, request('/api/comments?post=1')), 'network-only');
+  assert.strictEqual(strategyFor(routes, request('/posts/api/')), null);
+});
+
+test('extension is compared case-insensitively, with or without the dot', () => {
+  const routes = [{ match: { extension: ['.PNG', 'webp'] }, strategy: 'cache-first' }];
+  assert.strictEqual(strategyFor(routes, request('/images/Photo.png')), 'cache-first');
+  assert.strictEqual(strategyFor(routes, request('/images/photo.WEBP')), 'cache-first');
+  assert.strictEqual(strategyFor(routes, request('/images/png')), null);
+  assert.strictEqual(strategyFor(routes, request('/images.png/photo')), null);
+  assert.strictEqual(RouteTable.extension('/archive.tar.gz'), 'gz');
+  assert.strictEqual(RouteTable.extension('/about/'), '');
+});
+
+test('destination matches Request.destination, treating a missing one as empty', () => {
+  const routes = [{ match: { destination: ['document', 'iframe'] }, strategy: 'network-first' }];
+  assert.strictEqual(strategyFor(routes, request('/', 'document')), 'network-first');
+  assert.strictEqual(strategyFor(routes, request('/embed/', 'iframe')), 'network-first');
+  assert.strictEqual(strategyFor(routes, request('/assets/main.js', 'script')), null);
+  assert.strictEqual(strategyFor(routes, { url: `${ORIGIN}/` }), null);
+});
+
+test('origin accepts same, cross or an explicit origin', () => {
+  const same = [{ match: { origin: 'same' }, strategy: 'network-first' }];
+  const cross = [{ match: { origin: 'cross' }, strategy: 'network-only' }];
+  const fonts = [{ match: { origin: 'https://fonts.gstatic.com' }, strategy: 'cache-first' }];
+
+  assert.strictEqual(strategyFor(same, request('/about/')), 'network-first');
+  assert.strictEqual(strategyFor(same, request('https://cdn.example/lib.js')), null);
+  assert.strictEqual(strategyFor(cross, request('https://cdn.example/lib.js')), 'network-only');
+  assert.strictEqual(strategyFor(cross, request('/about/')), null);
+  assert.strictEqual(strategyFor(fonts, request('https://fonts.gstatic.com/s/inter.woff2')), 'cache-first');
+  assert.strictEqual(strategyFor(fonts, request('https://fonts.googleapis.com/css')), null);
+});
+
+test('every criterion of a route must match', () => {
+  const routes = [{
+    match: { origin: 'same', path: '/assets/**', extension: 'js', destination: 'script' },
+    strategy: 'cache-first'
+  }];
+  assert.strictEqual(strategyFor(routes, request('/assets/main.js', 'script')), 'cache-first');
+  assert.strictEqual(strategyFor(routes, request('/assets/main.js', 'worker')), null);
+  assert.strictEqual(strategyFor(routes, request('/assets/style.css', 'script')), null);
+  assert.strictEqual(strategyFor(routes, request('https://cdn.example/assets/main.js', 'script')), null);
+});
+
+test('the first matching route wins and a route without criteria matches everything', () => {
+  const routes = [
+    { match: { path: '/api/**' }, strategy: 'network-only' },
+    { match: { extension: 'json' }, strategy: 'cache-first' },
+    { strategy: 'network-first' }
+  ];
+  assert.strictEqual(strategyFor(routes, request('/api/posts.json')), 'network-only');
+  assert.strictEqual(strategyFor(routes, request('/search-index.json')), 'cache-first');
+  assert.strictEqual(strategyFor(routes, request('/about/')), 'network-first');
+});
+
+test('invalid routes are skipped with a warning and the rest still apply', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const table = new RouteTable([
+    { match: { path: '/a' }, strategy: 'cache-frist' },
+    { match: { pathname: '/b' }, strategy: 'cache-first' },
+    null,
+    { match: { path: '/c' }, strategy: 'cache-first', options: { cache: 'c-v1' } }
+  ], { origin: ORIGIN, strategies: STRATEGIES });
+
+  assert.strictEqual(table.routes.length, 1);
+  assert.strictEqual(warn.mock.callCount(), 3);
+  assert.strictEqual(table.match(request('/c')).options.cache, 'c-v1');
+  assert.deepStrictEqual(table.cacheNames(), ['c-v1']);
+});
@@ -0,0 +1,153 @@
+/**
+ * Search Engine tests
+ * Run with `npm run test:unit`. fetch is replaced by a map of URLs to JSON bodies, with
+ * shards that can be held back to check what is searchable while they load.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchEngine = require('../assets/js/search-engine.js');
+
+const ORIGIN = 'https://blog.example';
+
+const manifest = {
+  version: 2,
+  documents: [
+    { title: 'Jekyll basics', url: '/jekyll/', date: '2024-09-01', tags: ['jekyll'], excerpt: 'Static sites' },
+    { title: 'Service workers', url: '/workers/', date: '2024-10-01', tags: ['pwa'], excerpt: 'Offline pages' }
+  ],
+  shards: ['search-index/a.json', 'search-index/b.json']
+};
+
+const shards = {
+  'search-index/a.json': [{ doc: 0, heading: null, anchor: null, content: 'Liquid templates and front matter' }],
+  'search-index/b.json': [{ doc: 1, heading: 'Caching', anchor: 'caching', content: 'Precache the app shell' }]
+};
+
+// Replaces fetch; shards listed in held only answer once release(shard) is called
+const mockFetch = (t, held = []) => {
+  const releases = new Map();
+  const gates = new Map(held.map(shard => [shard, new Promise(resolve => releases.set(shard, resolve))]));
+  const reply = body => ({ ok: true, status: 200, url: `${ORIGIN}/search-index.json`, json: async () => body });
+
+  t.mock.method(globalThis, 'fetch', async url => {
+    const path = new URL(url, ORIGIN).pathname.slice(1);
+    if (path === 'search-index.json') return reply(manifest);
+    await gates.get(path);
+    return shards[path] ? reply(shards[path]) : { ok: false, status: 404 };
+  });
+
+  return shard => releases.get(shard)();
+};
+
+test('add: entries indexed later are found like the first ones', () => {
+  const engine = new SearchEngine([{ title: 'Jekyll basics', content: 'Liquid templates' }]);
+  engine.add([{ title: 'Service workers', content: 'Precache the app shell' }]);
+
+  assert.deepStrictEqual(engine.search('precache').map(result => result.ref), [1]);
+  assert.deepStrictEqual(engine.search('liquid').map(result => result.ref), [0]);
+});
+
+test('loadIndex: searchable after the first shard, the rest fill in as they arrive', async (t) => {
+  const release = mockFetch(t, ['search-index/b.json']);
+  const progress = [];
+  const engine = new SearchEngine();
+
+  await engine.loadIndex(`${ORIGIN}/search-index.json`, { onProgress: update => progress.push(update) });
+
+  assert.strictEqual(engine.search('liquid').length, 1);
+  assert.strictEqual(engine.search('precache').length, 0);
+  assert.deepStrictEqual(progress, [{ loaded: 1, total: 2 }]);
+
+  release('search-index/b.json');
+  await engine.loading;
+
+  const [result] = engine.search('precache');
+  assert.strictEqual(result.document.url, '/workers/#caching');
+  assert.strictEqual(result.document.title, 'Service workers');
+  assert.deepStrictEqual(progress, [{ loaded: 1, total: 2 }, { loaded: 2, total: 2 }]);
+});
+
+test('loadIndex: a failing later shard keeps the shards already loaded', async (t) => {
+  t.mock.method(globalThis, 'fetch', async url => {
+    const path = new URL(url, ORIGIN).pathname.slice(1);
+    if (path === 'search-index/b.json') return { ok: false, status: 500 };
+    return { ok: true, status: 200, url: `${ORIGIN}/search-index.json`, json: async () => (shards[path] || manifest) };
+  });
+  const engine = new SearchEngine();
+
+  await engine.loadIndex(`${ORIGIN}/search-index.json`);
+  await assert.rejects(engine.loading, /search-index\/b\.json/);
+  assert.strictEqual(engine.search('liquid').length, 1);
+});
+
+test('loadIndex: an unsharded index is an array of entries', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => ({
+    ok: true,
+    status: 200,
+    json: async () => [{ title: 'Jekyll basics', url: '/jekyll/', content: 'Liquid templates' }]
+  }));
+  const engine = new SearchEngine();
+
+  await engine.loadIndex(`${ORIGIN}/search-index.json`);
+  await engine.loading;
+  assert.strictEqual(engine.search('liquid')[0].document.url, '/jekyll/');
+});
+
+test('loadIndex: a missing manifest rejects', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 404 }));
+
+  await assert.rejects(new SearchEngine().loadIndex(`${ORIGIN}/search-index.json`), /status 404/);
+});
+
+test('stem: folds plurals and verb forms onto one term', () => {
+  const stems = words => words.map(word => SearchEngine.stem(word));
+
+  assert.deepStrictEqual(stems(['cache', 'caches', 'cached', 'caching']), ['cach', 'cach', 'cach', 'cach']);
+  assert.deepStrictEqual(stems(['run', 'running', 'stories', 'story']), ['run', 'run', 'story', 'story']);
+  assert.deepStrictEqual(stems(['install', 'jekyll', 'process', 'status']), ['install', 'jekyll', 'process', 'status']);
+  assert.deepStrictEqual(stems(['business', 'series', 'news']), ['business', 'series', 'news']);
+});
+
+test('words: keeps identifiers like node.js, c++ and c# whole', () => {
+  assert.deepStrictEqual(SearchEngine.words('Node.js, C++ or C#?'), ['node.js', 'c++', 'or', 'c#']);
+  assert.deepStrictEqual(SearchEngine.tokenize('The caching of the pages'), ['cach', 'pag']);
+});
+
+test('search: stop words alone match nothing', () => {
+  const engine = new SearchEngine([{ title: 'The best of the web', content: 'What it is and how' }]);
+
+  assert.deepStrictEqual(engine.search('the of and'), []);
+  assert.strictEqual(engine.search('the web').length, 1);
+});
+
+test('search: a match in the title outranks the same match in the content', () => {
+  const engine = new SearchEngine([
+    { title: 'Notes', content: 'Service workers cache the app shell' },
+    { title: 'Service workers', content: 'Notes on the app shell' }
+  ]);
+
+  assert.deepStrictEqual(engine.search('workers').map(result => result.ref), [1, 0]);
+});
+
+test('search: a partial last word matches by prefix, exact matches rank first', () => {
+  const engine = new SearchEngine([
+    { title: 'Precaching assets', content: 'Build a manifest' },
+    { title: 'Pre-rendering', content: 'Render ahead of time' }
+  ]);
+
+  assert.deepStrictEqual(engine.search('precac').map(result => result.ref), [0]);
+  assert.deepStrictEqual(engine.search('pre').map(result => result.ref), [1, 0]);
+});
+
+test('search: a typo still finds the word', () => {
+  const engine = new SearchEngine([
+    { title: 'Jekyll basics', content: 'Liquid templates' },
+    { title: 'Service workers', content: 'Offline pages' }
+  ]);
+
+  const [result, ...rest] = engine.search('jekyl');
+  assert.strictEqual(result.ref, 0);
+  assert.deepStrictEqual(result.terms, ['jekyll']);
+  assert.strictEqual(rest.length, 0);
+});
@@ -0,0 +1,76 @@
+/**
+ * Search Query tests
+ * Run with `npm run test:unit`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchQuery = require('../assets/js/search-query.js');
+
+test('parse: splits free text, phrases, exclusions and filters', () => {
+  const parsed = SearchQuery.parse('tag:jekyll -TAG:draft author:"Tech Articles Team" "static site" offline -gatsby');
+
+  assert.deepStrictEqual(parsed.text, ['offline']);
+  assert.deepStrictEqual(parsed.phrases, ['static site']);
+  assert.deepStrictEqual(parsed.exclude, ['gatsby']);
+  assert.deepStrictEqual(parsed.filters, [
+    { field: 'tag', value: 'jekyll', negate: false },
+    { field: 'tag', value: 'draft', negate: true },
+    { field: 'author', value: 'Tech Articles Team', negate: false }
+  ]);
+  assert.deepStrictEqual(parsed.errors, []);
+});
+
+test('parse: dates narrow to a range starting on the first day they cover', () => {
+  const parsed = SearchQuery.parse('after:2024 before:2024-09');
+
+  assert.strictEqual(parsed.after, '2024-01-01');
+  assert.strictEqual(parsed.before, '2024-09-01');
+  assert.deepStrictEqual(parsed.errors, []);
+});
+
+test('parse: unknown prefixes are plain text', () => {
+  assert.deepStrictEqual(SearchQuery.parse('http://example.com -note:x').text, ['http://example.com', 'note:x']);
+});
+
+test('parse: an unclosed quote is reported and searched as text', () => {
+  const parsed = SearchQuery.parse('"static site');
+
+  assert.deepStrictEqual(parsed.errors, ['Missing closing quote in "static site']);
+  assert.deepStrictEqual(parsed.text, ['static site']);
+  assert.deepStrictEqual(parsed.phrases, []);
+});
+
+test('parse: a filter without a value is reported', () => {
+  const parsed = SearchQuery.parse('tag: jekyll -author:');
+
+  assert.deepStrictEqual(parsed.errors, ['tag: needs a value, e.g. tag:jekyll', '-author: needs a value, e.g. -author:jekyll']);
+  assert.deepStrictEqual(parsed.text, ['jekyll']);
+  assert.deepStrictEqual(parsed.filters, []);
+});
+
+test('parse: invalid and negated dates are reported and ignored', () => {
+  const parsed = SearchQuery.parse('after:yesterday before:2024-02-31 -after:2024');
+
+  assert.deepStrictEqual(parsed.errors, [
+    'after: expects a date like 2024-09-01, 2024-09 or 2024 (got "yesterday")',
+    'before: expects a date like 2024-09-01, 2024-09 or 2024 (got "2024-02-31")',
+    'after: cannot be negated'
+  ]);
+  assert.strictEqual(parsed.after, null);
+  assert.strictEqual(parsed.before, null);
+});
+
+test('parse: after must come before before', () => {
+  assert.deepStrictEqual(SearchQuery.parse('after:2024-09 before:2024-09').errors, ['after: must be earlier than before:']);
+  assert.deepStrictEqual(SearchQuery.parse('after:2024-09 before:2024-10').errors, []);
+});
+
+test('parseDate: accepts YYYY, YYYY-MM and YYYY-MM-DD', () => {
+  assert.strictEqual(SearchQuery.parseDate('2024'), '2024-01-01');
+  assert.strictEqual(SearchQuery.parseDate('2024-02'), '2024-02-01');
+  assert.strictEqual(SearchQuery.parseDate('2024-02-29'), '2024-02-29');
+  assert.strictEqual(SearchQuery.parseDate('2023-02-29'), null);
+  assert.strictEqual(SearchQuery.parseDate('2024-13'), null);
+  assert.strictEqual(SearchQuery.parseDate('24-01-01'), null);
+});